@@ -6,7 +6,13 @@ import pLimit from "p-limit";
 import multer from "multer";
 import fs from "fs";
 import path from "path";
-import { Readable } from "stream";
+import crypto from "crypto";
+import zlib from "zlib";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import { Transform } from "stream";
 import { pipeline } from "stream/promises";
 import { createClient } from "redis";
 
@@ -17,8 +23,13 @@ const PORT = Number(process.env.PORT || 8787);
 const APP_TOKEN = process.env.APP_TOKEN;
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME?.trim() || "admin";
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD?.trim() || "123456";
+const DEFAULT_ADMIN_USERNAME = "admin";
+const DEFAULT_ADMIN_PASSWORD = "123456";
 const KIE_API_KEY = process.env.KIE_API_KEY;
 const KIE_BASE_URL = process.env.KIE_BASE_URL || "https://api.kie.ai";
+const KIE_WEBHOOK_HMAC_KEY = process.env.KIE_WEBHOOK_HMAC_KEY?.trim() || "";
+const CALLBACK_VERIFY_RESULT = process.env.CALLBACK_VERIFY_RESULT !== "false";
+const CALLBACK_TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
 const DEFAULT_PUBLIC_BASE_URL = "https://your-domain.com";
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || DEFAULT_PUBLIC_BASE_URL;
 const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6380";
@@ -32,9 +43,113 @@ const PUBLIC_DIR = path.resolve(process.cwd(), "public");
 const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads");
 const UPLOADS_PUBLIC_PATH = "/api/uploads";
 const UPLOAD_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+const DOWNLOAD_ALLOWED_HOSTS = (process.env.DOWNLOAD_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const DOWNLOAD_MAX_BYTES = Number(process.env.DOWNLOAD_MAX_BYTES || 500 * 1024 * 1024);
+const DOWNLOAD_TIMEOUT_MS = Number(process.env.DOWNLOAD_TIMEOUT_MS || 5 * 60 * 1000);
+const DOWNLOAD_MAX_REDIRECTS = 5;
+const DOWNLOAD_MAX_ATTEMPTS = Number(process.env.DOWNLOAD_MAX_ATTEMPTS || 6);
+const DOWNLOAD_RETRY_BASE_MS = Number(process.env.DOWNLOAD_RETRY_BASE_MS || 30 * 1000);
+const DOWNLOAD_RETRY_MAX_MS = Number(process.env.DOWNLOAD_RETRY_MAX_MS || 30 * 60 * 1000);
+const DOWNLOAD_CONCURRENCY = Math.max(Number(process.env.DOWNLOAD_CONCURRENCY) || 2, 1);
+const DOWNLOAD_QUEUE_POLL_MS = 5 * 1000;
+const videoContentTypes = ["video/mp4", "application/octet-stream", "binary/octet-stream"];
+const imageContentTypes = [
+  "image/png",
+  "image/jpeg",
+  "image/jpg",
+  "image/webp",
+  "application/octet-stream",
+  "binary/octet-stream"
+];
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS || 60 * 1000);
+const RECONCILE_STALE_MS = Number(process.env.RECONCILE_STALE_MS || 2 * 60 * 1000);
+const RECONCILE_BATCH_SIZE = 200;
+const PROVIDER_RETRY_MAX_ATTEMPTS = Math.max(
+  Number(process.env.PROVIDER_RETRY_MAX_ATTEMPTS) || 3,
+  1
+);
+const PROVIDER_RETRY_BASE_MS = Number(process.env.PROVIDER_RETRY_BASE_MS || 1000);
+const PROVIDER_RETRY_MAX_MS = Number(process.env.PROVIDER_RETRY_MAX_MS || 10 * 1000);
+const TASK_RESUBMIT_MAX = Math.max(Number(process.env.TASK_RESUBMIT_MAX) || 0, 0);
+const TRANSIENT_FAIL_CODES = new Set(
+  (process.env.TRANSIENT_FAIL_CODES || "429,455,500,502,503,504")
+    .split(",")
+    .map((code) => code.trim())
+    .filter(Boolean)
+);
+const TASK_ATTEMPTS_LIMIT = 20;
+const GENERATION_MAX_IN_FLIGHT = Math.max(Number(process.env.GENERATION_MAX_IN_FLIGHT) || 20, 1);
+const GENERATION_RATE_PER_MINUTE = Math.max(
+  Number(process.env.GENERATION_RATE_PER_MINUTE ?? 60) || 0,
+  0
+);
+const GENERATION_MAX_DISPATCH_ATTEMPTS = Math.max(
+  Number(process.env.GENERATION_MAX_DISPATCH_ATTEMPTS) || 5,
+  1
+);
+const GENERATION_QUEUE_POLL_MS = 2 * 1000;
+const GENERATION_LEASE_MS = 5 * 60 * 1000;
+const generationPriorities = { high: 0, normal: 1, low: 2 };
+// Files outlive their task record only until the next sweep (they are then
+// orphaned), so retention is capped at the task TTL.
+const FILES_RETENTION_MS =
+  Math.min(Number(process.env.FILES_RETENTION_SECONDS || TASK_TTL_SECONDS), TASK_TTL_SECONDS) *
+  1000;
+const RETENTION_SWEEP_INTERVAL_MS = Number(
+  process.env.RETENTION_SWEEP_INTERVAL_MS || 60 * 60 * 1000
+);
+const RETENTION_GRACE_MS = 60 * 60 * 1000;
+const RETENTION_REPORT_LIMIT = 200;
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 500;
+const TEMPLATE_MAX_EXPANSIONS = 200;
+const ORPHAN_LOG_LIMIT = 500;
+const ORPHAN_CHECKS_PER_MINUTE = 30;
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET?.trim() || "";
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+const WEBHOOK_MAX_ATTEMPTS = Math.max(Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6, 1);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000);
+const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 30 * 60 * 1000);
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true";
+const WEBHOOK_QUEUE_POLL_MS = 5 * 1000;
+const WEBHOOK_CONCURRENCY = 4;
+const WEBHOOK_LOG_LIMIT = 500;
+const webhookEventTypes = ["task.success", "task.fail", "task.downloaded"];
+const userRoleRanks = { viewer: 0, creator: 1, admin: 2 };
+const USERNAME_PATTERN = /^[\p{L}\p{N}._@-]{1,64}$/u;
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS || 60 * 60 * 24 * 7);
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const PASSWORD_SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const PASSWORD_KEY_LENGTH = 64;
+const LOGIN_MAX_FAILURES = Math.max(Number(process.env.LOGIN_MAX_FAILURES) || 5, 1);
+const LOGIN_IP_MAX_FAILURES = Math.max(Number(process.env.LOGIN_IP_MAX_FAILURES) || 20, 1);
+const LOGIN_LOCK_BASE_MS = Number(process.env.LOGIN_LOCK_BASE_MS || 60 * 1000);
+const LOGIN_LOCK_MAX_MS = Number(process.env.LOGIN_LOCK_MAX_MS || 60 * 60 * 1000);
+const LOGIN_USER_LOCK_MAX_MS = Number(process.env.LOGIN_USER_LOCK_MAX_MS || 5 * 60 * 1000);
+const LOGIN_FAILURE_TTL_SECONDS = 60 * 60 * 24;
+const API_KEY_PREFIX = "ak_";
+const API_KEY_NAME_MAX_LENGTH = 100;
+// Each scope lists the requests a key holding it may make, on top of the
+// owner's role. Keys never reach the admin area or the account endpoints.
+const apiKeyScopes = {
+  read: [{ methods: ["GET", "HEAD"], path: /^\/api\/(?!admin\/|account|orphans)/ }],
+  create: [
+    { methods: ["POST"], path: /^\/api\/(video|image)\/create$/ },
+    { methods: ["POST"], path: /^\/api\/video\/batch_(create|import)$/ },
+    { methods: ["POST"], path: /^\/api\/(video|image)\/tasks\/[^/]+\/retry$/ },
+    { methods: ["POST"], path: /^\/api\/(upload|templates\/preview)$/ }
+  ]
+};
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS || 60 * 60 * 24);
+const IDEMPOTENCY_PENDING_TTL_SECONDS = 60;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 200;
 
 if (!APP_TOKEN) {
-  console.warn("APP_TOKEN is not set; all requests will be rejected.");
+  console.warn("APP_TOKEN is not set; only user login tokens will be accepted.");
 }
 
 if (!KIE_API_KEY) {
@@ -46,15 +161,55 @@ redisClient.on("error", (error) => {
   console.error("Redis error", error);
 });
 
+// A connection in subscriber mode cannot run other commands, so task events
+// are received on a dedicated duplicate of the main client.
+const redisSubscriber = redisClient.duplicate();
+redisSubscriber.on("error", (error) => {
+  console.error("Redis subscriber error", error);
+});
+
 const taskKey = (localTaskId) => `aiVideo:task:${localTaskId}`;
 const mapKey = (kieTaskId) => `aiVideo:map:${kieTaskId}`;
 const recentKey = "aiVideo:recent";
+const keptKey = "aiVideo:kept";
 const imageTaskKey = (localTaskId) => `aiImage:task:${localTaskId}`;
 const imageMapKey = (kieTaskId) => `aiImage:map:${kieTaskId}`;
 const imageRecentKey = "aiImage:recent";
+const imageKeptKey = "aiImage:kept";
 const adminKey = "aiVideo:admin";
-let adminUsername = ADMIN_USERNAME;
-let adminPassword = ADMIN_PASSWORD;
+const usersKey = "aiVideo:users";
+const usernamesKey = "aiVideo:usernames";
+const sessionKey = (sessionId) => `aiVideo:session:${sessionId}`;
+const sessionsKey = "aiVideo:sessions";
+const apiKeysKey = "aiVideo:apiKeys";
+const apiKeyHashesKey = "aiVideo:apiKeyHashes";
+const loginFailuresKey = (scope, id) => `aiVideo:login:failures:${scope}:${id}`;
+const loginLockKey = (scope, id) => `aiVideo:login:lock:${scope}:${id}`;
+const reconcileLockKey = "aiVideo:reconcile:lock";
+const downloadQueueKey = "aiVideo:downloads";
+const downloadLockKey = (member) => `aiVideo:download:lock:${member}`;
+const retentionLockKey = "aiVideo:retention:lock";
+const retentionReportKey = "aiVideo:retention:last";
+const batchKey = (batchId) => `aiVideo:batch:${batchId}`;
+const batchRecentKey = "aiVideo:batches";
+const templateKey = (templateId) => `aiVideo:template:${templateId}`;
+const templateIndexKey = "aiVideo:templates";
+const orphanLogKey = "aiVideo:orphans";
+const orphanChecksKey = "aiVideo:orphans:checks";
+const taskEventsChannel = "aiVideo:events";
+const webhooksKey = "aiVideo:webhooks";
+const webhookSecretKey = "aiVideo:webhook:secret";
+const webhookDeliveryKey = (deliveryId) => `aiVideo:webhook:delivery:${deliveryId}`;
+const webhookDeliveriesKey = "aiVideo:webhook:deliveries";
+const webhookQueueKey = "aiVideo:webhook:queue";
+const webhookLockKey = (deliveryId) => `aiVideo:webhook:lock:${deliveryId}`;
+const idempotencyRedisKey = (scope, key) => `aiVideo:idempotency:${scope}:${key}`;
+const generationQueueKey = "aiVideo:jobs";
+const generationReadyKey = "aiVideo:jobs:ready";
+const generationLockKey = "aiVideo:jobs:lock";
+const generationInFlightKey = "aiVideo:jobs:inflight";
+const generationRateKey = (window) => `aiVideo:jobs:rate:${window}`;
+let webhookSecret = WEBHOOK_SECRET;
 
 const normalizeBaseUrl = (value) => {
   if (!value) {
@@ -85,11 +240,14 @@ const getPublicBaseUrl = () => {
   return normalizeBaseUrl(PUBLIC_BASE_URL);
 };
 
-const buildPublicVideoUrl = (localTaskId, baseUrl = getPublicBaseUrl()) => {
+const buildPublicFileUrl = (filename, baseUrl = getPublicBaseUrl()) => {
   const base = baseUrl || "";
-  return `${base}${NORMALIZED_FILES_PATH}/${localTaskId}.mp4`;
+  return `${base}${NORMALIZED_FILES_PATH}/${filename}`;
 };
 
+const buildPublicVideoUrl = (localTaskId, baseUrl = getPublicBaseUrl()) =>
+  buildPublicFileUrl(`${localTaskId}.mp4`, baseUrl);
+
 const buildPublicUploadUrl = (filename, baseUrl = getPublicBaseUrl()) => {
   const base = baseUrl || "";
   return `${base}${UPLOADS_PUBLIC_PATH}/${filename}`;
@@ -164,63 +322,464 @@ const getImageTask = async (localTaskId) => {
   return parseTask(raw);
 };
 
-const loadAdminCredentials = async () => {
-  const raw = await redisClient.get(adminKey);
-  if (!raw) {
+// Users are stored in one hash keyed by userId, with a second hash from the
+// lower-cased username to the id so usernames can change without touching
+// the tasks that reference the user.
+const toPublicUser = (user) => ({
+  userId: user.userId,
+  username: user.username,
+  role: user.role,
+  disabled: Boolean(user.disabled),
+  mustChangePassword: Boolean(user.mustChangePassword),
+  createdAt: user.createdAt
+});
+
+const getUser = async (userId) => {
+  const raw = await redisClient.hGet(usersKey, userId);
+  return parseTask(raw);
+};
+
+const getUserByName = async (username) => {
+  const userId = await redisClient.hGet(usernamesKey, String(username).trim().toLowerCase());
+  return userId ? getUser(userId) : null;
+};
+
+const getUsers = async () => {
+  const entries = await redisClient.hGetAll(usersKey);
+  return Object.values(entries)
+    .map(parseTask)
+    .filter(Boolean)
+    .sort((left, right) => String(left.createdAt).localeCompare(String(right.createdAt)));
+};
+
+const saveUser = async (user, previousUsername = null) => {
+  const multi = redisClient.multi();
+  multi.hSet(usersKey, user.userId, JSON.stringify(user));
+  if (previousUsername && previousUsername.toLowerCase() !== user.username.toLowerCase()) {
+    multi.hDel(usernamesKey, previousUsername.toLowerCase());
+  }
+  multi.hSet(usernamesKey, user.username.toLowerCase(), user.userId);
+  await multi.exec();
+};
+
+const normalizeUsername = (value) => {
+  const username = String(value ?? "").trim();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new ApiError(400, "username must be 1-64 letters, digits or . _ @ -");
+  }
+  return username;
+};
+
+const normalizeUserRole = (value) => {
+  if (!Object.hasOwn(userRoleRanks, value)) {
+    throw new ApiError(400, `role must be one of ${Object.keys(userRoleRanks).join(", ")}`);
+  }
+  return value;
+};
+
+const assertUsernameAvailable = async (username, userId = null) => {
+  const existing = await getUserByName(username);
+  if (existing && existing.userId !== userId) {
+    throw new ApiError(409, "Username already exists");
+  }
+};
+
+// Passwords are stored as "scrypt$N$r$p$salt$hash" so the cost parameters can
+// be raised later without invalidating existing hashes.
+const deriveScryptKey = (password, salt, { N, r, p }) =>
+  new Promise((resolve, reject) => {
+    const options = { N, r, p, maxmem: PASSWORD_SCRYPT_PARAMS.maxmem };
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, options, (error, key) =>
+      error ? reject(error) : resolve(key)
+    );
+  });
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = PASSWORD_SCRYPT_PARAMS;
+  const key = await deriveScryptKey(String(password), salt, PASSWORD_SCRYPT_PARAMS);
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [algorithm, N, r, p, salt, hash] = String(passwordHash || "").split("$");
+  if (algorithm !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "base64");
+  const key = await deriveScryptKey(String(password), Buffer.from(salt, "base64"), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+// Unknown usernames are checked against a throwaway hash so a failed login
+// takes as long whether or not the account exists.
+let dummyPasswordHash = null;
+const checkUserPassword = async (user, password) => {
+  if (!user) {
+    dummyPasswordHash ||= await hashPassword(crypto.randomBytes(16).toString("hex"));
+    await verifyPassword(password, dummyPasswordHash);
+    return false;
+  }
+  return verifyPassword(password, user.passwordHash);
+};
+
+const isDefaultCredentials = (username, password) =>
+  String(username).toLowerCase() === DEFAULT_ADMIN_USERNAME &&
+  password === DEFAULT_ADMIN_PASSWORD;
+
+const normalizePassword = (value) => {
+  const password = String(value ?? "").trim();
+  if (!password) {
+    throw new ApiError(400, "password is required");
+  }
+  return password;
+};
+
+// `legacyUsername` skips the pattern check for the admin name carried over
+// from the single-account setup, which accepted any name.
+const createUser = async ({ username, password, role }, { legacyUsername = false } = {}) => {
+  const normalizedUsername = legacyUsername
+    ? String(username ?? "").trim()
+    : normalizeUsername(username);
+  if (!normalizedUsername) {
+    throw new ApiError(400, "username is required");
+  }
+  const normalizedPassword = normalizePassword(password);
+  await assertUsernameAvailable(normalizedUsername);
+  const user = {
+    userId: `usr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    username: normalizedUsername,
+    passwordHash: await hashPassword(normalizedPassword),
+    mustChangePassword: isDefaultCredentials(normalizedUsername, normalizedPassword),
+    role: normalizeUserRole(role || "creator"),
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  await saveUser(user);
+  return user;
+};
+
+// The first start with an empty user table turns the single admin account
+// (the aiVideo:admin record, or ADMIN_USERNAME / ADMIN_PASSWORD) into an
+// admin user.
+const ensureAdminUser = async () => {
+  if ((await redisClient.hLen(usersKey)) > 0) {
     return;
   }
-  try {
-    const parsed = JSON.parse(raw);
-    if (parsed?.username) {
-      adminUsername = parsed.username;
+  let credentials = { username: ADMIN_USERNAME, password: ADMIN_PASSWORD };
+  const raw = await redisClient.get(adminKey);
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      credentials = {
+        username: parsed?.username || credentials.username,
+        password: parsed?.password || credentials.password
+      };
+    } catch (error) {
+      console.warn(`Failed to parse admin credentials: ${error.message}`);
     }
-    if (parsed?.password) {
-      adminPassword = parsed.password;
+  }
+  await createUser({ ...credentials, role: "admin" }, { legacyUsername: true });
+  await redisClient.del(adminKey);
+  console.log(`Created admin user ${credentials.username}`);
+};
+
+// Accounts saved before passwords were hashed still carry a plaintext
+// `password`; hash those in place on startup.
+const migratePlaintextPasswords = async () => {
+  const users = await getUsers();
+  for (const user of users) {
+    if (user.passwordHash || typeof user.password !== "string") {
+      continue;
     }
-  } catch (error) {
-    console.warn(`Failed to parse admin credentials: ${error.message}`);
+    user.passwordHash = await hashPassword(user.password);
+    user.mustChangePassword = isDefaultCredentials(user.username, user.password);
+    delete user.password;
+    await saveUser(user);
+    console.log(`Hashed stored password for user ${user.username}`);
   }
 };
 
-const saveAdminCredentials = async ({ username, password }) => {
-  adminUsername = username;
-  adminPassword = password;
-  await redisClient.set(
-    adminKey,
-    JSON.stringify({
-      username,
-      password,
-      updatedAt: new Date().toISOString()
-    })
-  );
+const countOtherActiveAdmins = async (userId) =>
+  (await getUsers()).filter(
+    (user) => user.userId !== userId && user.role === "admin" && !user.disabled
+  ).length;
+
+// Login tokens are only ever handed to the client. Redis stores sessions under
+// the token's SHA-256, so listing sessions never exposes a usable token. The
+// sessions index is scored by expiry and pruned whenever it is read.
+const getSessionId = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const saveSession = async (session) => {
+  const multi = redisClient.multi();
+  multi.set(sessionKey(session.sessionId), JSON.stringify(session), { EX: SESSION_TTL_SECONDS });
+  multi.zAdd(sessionsKey, { score: Date.parse(session.expiresAt), value: session.sessionId });
+  await multi.exec();
+};
+
+const createSession = async (user, req) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  const session = {
+    sessionId: getSessionId(token),
+    userId: user.userId,
+    ip: req.ip,
+    userAgent: String(req.get("User-Agent") || "").slice(0, 200),
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_SECONDS * 1000).toISOString()
+  };
+  await saveSession(session);
+  return { token, session };
+};
+
+// Sliding expiry: a session used at least once per SESSION_TTL_SECONDS never
+// expires. Writes are throttled to one per SESSION_TOUCH_INTERVAL_MS.
+const touchSession = async (session) => {
+  const now = Date.now();
+  if (now - Date.parse(session.lastSeenAt) < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+  session.lastSeenAt = new Date(now).toISOString();
+  session.expiresAt = new Date(now + SESSION_TTL_SECONDS * 1000).toISOString();
+  await saveSession(session);
 };
 
-const saveTask = async (task, { refreshRecent = false } = {}) => {
+const getSessions = async () => {
+  await redisClient.zRemRangeByScore(sessionsKey, 0, Date.now());
+  const sessionIds = await redisClient.zRange(sessionsKey, 0, -1);
+  if (sessionIds.length === 0) {
+    return [];
+  }
+  const rawSessions = await redisClient.mGet(sessionIds.map(sessionKey));
+  return rawSessions.map(parseTask).filter(Boolean);
+};
+
+const revokeSessions = async (sessionIds) => {
+  if (sessionIds.length === 0) {
+    return;
+  }
   const multi = redisClient.multi();
-  multi.set(taskKey(task.localTaskId), JSON.stringify(task), { EX: TASK_TTL_SECONDS });
-  if (task.kieTaskId) {
-    multi.set(mapKey(task.kieTaskId), task.localTaskId, { EX: TASK_TTL_SECONDS });
+  multi.del(sessionIds.map(sessionKey));
+  multi.zRem(sessionsKey, sessionIds);
+  await multi.exec();
+};
+
+const revokeUserSessions = async (userId, { except = null } = {}) => {
+  const sessionIds = (await getSessions())
+    .filter((session) => session.userId === userId && session.sessionId !== except)
+    .map((session) => session.sessionId);
+  await revokeSessions(sessionIds);
+  return sessionIds.length;
+};
+
+const toPublicSession = (session, username, currentSessionId) => ({
+  sessionId: session.sessionId,
+  userId: session.userId,
+  username,
+  ip: session.ip || null,
+  userAgent: session.userAgent || "",
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session.sessionId === currentSessionId
+});
+
+// API keys are random, so a plain SHA-256 is enough to store them. The hashes
+// index only holds live keys; revoked keys stay in apiKeysKey for the admin
+// view.
+const getApiKey = async (keyId) => parseTask(await redisClient.hGet(apiKeysKey, keyId));
+
+const getApiKeys = async () => {
+  const entries = await redisClient.hGetAll(apiKeysKey);
+  return Object.values(entries)
+    .map(parseTask)
+    .filter(Boolean)
+    .sort((left, right) => String(right.createdAt).localeCompare(String(left.createdAt)));
+};
+
+const saveApiKey = async (apiKey) => {
+  await redisClient.hSet(apiKeysKey, apiKey.keyId, JSON.stringify(apiKey));
+};
+
+const isApiKeyActive = (apiKey) =>
+  Boolean(apiKey) &&
+  !apiKey.revokedAt &&
+  (!apiKey.expiresAt || Date.parse(apiKey.expiresAt) > Date.now());
+
+const normalizeApiKeyPayload = (payload = {}) => {
+  const name = String(payload.name ?? "").trim();
+  if (!name || name.length > API_KEY_NAME_MAX_LENGTH) {
+    throw new ApiError(400, `name must be 1-${API_KEY_NAME_MAX_LENGTH} characters`);
   }
-  if (refreshRecent) {
-    const score = Number(new Date(task.createdAt)) || Date.now();
-    multi.zAdd(recentKey, [{ score, value: task.localTaskId }]);
-    multi.expire(recentKey, TASK_TTL_SECONDS);
+  const scopes = Array.isArray(payload.scopes) ? [...new Set(payload.scopes)] : [];
+  if (scopes.length === 0 || scopes.some((scope) => !Object.hasOwn(apiKeyScopes, scope))) {
+    const allowed = Object.keys(apiKeyScopes).join(", ");
+    throw new ApiError(400, `scopes must be a non-empty list of ${allowed}`);
   }
+  let expiresAt = null;
+  if (payload.expires_in_days !== undefined && payload.expires_in_days !== null) {
+    const days = Number(payload.expires_in_days);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new ApiError(400, "expires_in_days must be a positive number");
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return { name, scopes, expiresAt };
+};
+
+const createApiKey = async (owner, payload) => {
+  const { name, scopes, expiresAt } = normalizeApiKeyPayload(payload);
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const apiKey = {
+    keyId: `key_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    userId: owner.userId,
+    scopes,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: crypto.createHash("sha256").update(key).digest("hex"),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  const multi = redisClient.multi();
+  multi.hSet(apiKeysKey, apiKey.keyId, JSON.stringify(apiKey));
+  multi.hSet(apiKeyHashesKey, apiKey.keyHash, apiKey.keyId);
+  await multi.exec();
+  return { key, apiKey };
+};
+
+const revokeApiKey = async (apiKey) => {
+  apiKey.revokedAt = apiKey.revokedAt || new Date().toISOString();
+  const multi = redisClient.multi();
+  multi.hSet(apiKeysKey, apiKey.keyId, JSON.stringify(apiKey));
+  multi.hDel(apiKeyHashesKey, apiKey.keyHash);
   await multi.exec();
 };
 
-const saveImageTask = async (task, { refreshRecent = false } = {}) => {
+const findApiKeyByToken = async (token) => {
+  const keyHash = crypto.createHash("sha256").update(token).digest("hex");
+  const keyId = await redisClient.hGet(apiKeyHashesKey, keyHash);
+  return keyId ? getApiKey(keyId) : null;
+};
+
+const touchApiKey = async (apiKey) => {
+  const now = Date.now();
+  if (apiKey.lastUsedAt && now - Date.parse(apiKey.lastUsedAt) < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+  apiKey.lastUsedAt = new Date(now).toISOString();
+  await saveApiKey(apiKey);
+};
+
+const isApiKeyRequestAllowed = (req, scopes) =>
+  scopes.some((scope) =>
+    (apiKeyScopes[scope] || []).some(
+      (rule) => rule.methods.includes(req.method) && rule.path.test(req.path)
+    )
+  );
+
+const toPublicApiKey = (apiKey, username) => ({
+  keyId: apiKey.keyId,
+  name: apiKey.name,
+  userId: apiKey.userId,
+  username,
+  scopes: apiKey.scopes,
+  prefix: apiKey.prefix,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  active: isApiKeyActive(apiKey)
+});
+
+// Without WEBHOOK_SECRET a signing secret is generated once and shared by all
+// instances through Redis; the admin view shows it to receivers.
+const loadWebhookSecret = async () => {
+  if (webhookSecret) {
+    return;
+  }
+  await redisClient.set(webhookSecretKey, crypto.randomBytes(32).toString("hex"), { NX: true });
+  webhookSecret = await redisClient.get(webhookSecretKey);
+};
+
+const videoStore = { kind: "video", taskKey, mapKey, recentKey, keptKey };
+const imageStore = {
+  kind: "image",
+  taskKey: imageTaskKey,
+  mapKey: imageMapKey,
+  recentKey: imageRecentKey,
+  keptKey: imageKeptKey
+};
+
+// Drops ids older than TASK_TTL_SECONDS from the recent index once their
+// record is gone. Kept tasks, and tasks un-kept after that age, stay listed
+// until their record expires.
+const trimRecentIndex = async (store) => {
+  const cutoff = Date.now() - TASK_TTL_SECONDS * 1000;
+  const ids = await redisClient.zRangeByScore(store.recentKey, "-inf", cutoff);
+  if (ids.length === 0) {
+    return;
+  }
+  const multi = redisClient.multi();
+  for (const id of ids) {
+    multi.exists(store.taskKey(id));
+  }
+  const exists = await multi.exec();
+  const expired = ids.filter((id, index) => !exists[index]);
+  if (expired.length > 0) {
+    await redisClient.zRem(store.recentKey, expired);
+  }
+};
+
+// Kept tasks are written without an expiry, provider mapping included, and
+// tracked in the kept set. The recent index itself never expires (older
+// versions gave it a TTL, hence the persist) and is trimmed instead.
+const writeTask = async (store, task, { refreshRecent = false } = {}) => {
+  const expiry = task.keep ? {} : { EX: TASK_TTL_SECONDS };
   const multi = redisClient.multi();
-  multi.set(imageTaskKey(task.localTaskId), JSON.stringify(task), { EX: TASK_TTL_SECONDS });
+  multi.set(store.taskKey(task.localTaskId), JSON.stringify(task), expiry);
   if (task.kieTaskId) {
-    multi.set(imageMapKey(task.kieTaskId), task.localTaskId, { EX: TASK_TTL_SECONDS });
+    multi.set(store.mapKey(task.kieTaskId), task.localTaskId, expiry);
+  }
+  if (task.keep) {
+    multi.sAdd(store.keptKey, task.localTaskId);
+  } else {
+    multi.sRem(store.keptKey, task.localTaskId);
   }
   if (refreshRecent) {
     const score = Number(new Date(task.createdAt)) || Date.now();
-    multi.zAdd(imageRecentKey, [{ score, value: task.localTaskId }]);
-    multi.expire(imageRecentKey, TASK_TTL_SECONDS);
+    multi.zAdd(store.recentKey, [{ score, value: task.localTaskId }]);
+    multi.persist(store.recentKey);
   }
   await multi.exec();
+  if (refreshRecent) {
+    await trimRecentIndex(store);
+  }
+  publishTaskEvent(store.kind, task);
+};
+
+const saveTask = (task, options) => writeTask(videoStore, task, options);
+
+const saveImageTask = (task, options) => writeTask(imageStore, task, options);
+
+const getBatch = async (batchId) => {
+  const raw = await redisClient.get(batchKey(batchId));
+  return parseTask(raw);
+};
+
+const saveBatch = async (batch) => {
+  const score = Number(new Date(batch.createdAt)) || Date.now();
+  const multi = redisClient.multi();
+  multi.set(batchKey(batch.batchId), JSON.stringify(batch), { EX: TASK_TTL_SECONDS });
+  multi.zAdd(batchRecentKey, [{ score, value: batch.batchId }]);
+  multi.expire(batchRecentKey, TASK_TTL_SECONDS);
+  await multi.exec();
 };
 
 const ensureFilesDir = async () => {
@@ -257,143 +816,1024 @@ const cleanupOldFiles = async () => {
   }
 };
 
-const downloadVideo = async (localTaskId, originUrl) => {
-  const response = await fetch(originUrl);
-  if (!response.ok) {
-    throw new Error(`Download failed with status ${response.status}`);
+class DownloadError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.retryable = retryable;
   }
-  await ensureFilesDir();
-  const filePath = path.join(FILES_DIR, `${localTaskId}.mp4`);
-  if (!response.body) {
-    throw new Error("Download response missing body");
+}
+
+const downloadBlockList = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+].forEach(([network, prefix]) => downloadBlockList.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => downloadBlockList.addSubnet(network, prefix, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
   }
-  await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(filePath));
-  return buildPublicVideoUrl(localTaskId);
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return downloadBlockList.check(mapped[1], "ipv4");
+  }
+  return downloadBlockList.check(address, family === 6 ? "ipv6" : "ipv4");
 };
 
-const downloadAndPersistVideo = async (localTaskId, originUrl) => {
-  try {
-    const videoUrl = await downloadVideo(localTaskId, originUrl);
-    const task = await getTask(localTaskId);
-    if (!task) {
-      return;
+// Resolves through DNS and refuses private answers at connect time, so a host
+// that re-resolves to an internal address between checks is still rejected.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
     }
-    task.video_url = videoUrl;
-    await saveTask(task);
-  } catch (error) {
-    console.warn(`Failed to download video for task ${localTaskId}: ${error.message}`);
-    const task = await getTask(localTaskId);
-    if (!task) {
-      return;
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new DownloadError(`Blocked download address ${blocked.address}`));
     }
-    task.error = task.error || `Failed to download video: ${error.message}`;
-    await saveTask(task);
-  }
+    if (options?.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
 };
 
-const parseResultVideoUrl = (rawResultJson) => {
-  if (!rawResultJson) {
-    return null;
-  }
-  let payload = rawResultJson;
-  if (typeof rawResultJson === "string") {
-    try {
-      payload = JSON.parse(rawResultJson);
-    } catch (error) {
-      if (rawResultJson.startsWith("http")) {
-        return rawResultJson;
-      }
-      console.warn(`Failed to parse resultJson: ${error.message}`);
-      return null;
-    }
+const isAllowedDownloadHost = (hostname) =>
+  DOWNLOAD_ALLOWED_HOSTS.length === 0 ||
+  DOWNLOAD_ALLOWED_HOSTS.some((allowed) => hostname === allowed || hostname.endsWith(`.${allowed}`));
+
+// The mock provider serves its sample results from this process over loopback.
+const isTrustedLocalUrl = (url) =>
+  ACTIVE_PROVIDER === mockProvider.name && url.origin === new URL(getMockLocalBaseUrl()).origin;
+
+const checkDownloadUrl = (url) => {
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new DownloadError(`Unsupported download protocol ${url.protocol}`);
   }
-  if (!payload || typeof payload !== "object") {
-    return null;
+  if (isTrustedLocalUrl(url)) {
+    return { trusted: true };
   }
-  const resultUrls = payload.resultUrls || payload.resultUrl;
-  if (Array.isArray(resultUrls)) {
-    return resultUrls[0] || null;
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!isAllowedDownloadHost(hostname)) {
+    throw new DownloadError(`Download host not allowed: ${hostname}`);
   }
-  if (typeof resultUrls === "string") {
-    return resultUrls;
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new DownloadError(`Blocked download address ${hostname}`);
   }
-  return null;
+  return { trusted: false };
 };
 
-const parseResultImageUrl = (rawResultJson) => {
-  return parseResultVideoUrl(rawResultJson);
-};
+const requestRemote = (url, { headers, signal, trusted }) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(
+      url,
+      { headers, signal, lookup: trusted ? undefined : safeLookup },
+      resolve
+    );
+    request.on("error", reject);
+  });
 
-const normalizeTaskStatus = (status) => {
-  if (!status) {
-    return status;
-  }
-  const normalized = String(status).toLowerCase();
-  if (["success", "succeeded", "completed", "complete", "done"].includes(normalized)) {
-    return "success";
+// Redirects are followed by hand so every hop goes through the same checks.
+const openRemoteStream = async (originUrl, { headers = {}, signal } = {}) => {
+  let url = new URL(originUrl);
+  for (let hop = 0; hop <= DOWNLOAD_MAX_REDIRECTS; hop += 1) {
+    const { trusted } = checkDownloadUrl(url);
+    const response = await requestRemote(url, { headers, signal, trusted });
+    const { location } = response.headers;
+    if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+      response.resume();
+      url = new URL(location, url);
+      continue;
+    }
+    return response;
   }
-  if (["fail", "failed", "failure", "error", "errored"].includes(normalized)) {
-    return "fail";
+  throw new DownloadError("Too many redirects");
+};
+
+const readFileHead = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
   }
-  return normalized;
 };
 
-app.set("trust proxy", 1);
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-app.use(NORMALIZED_FILES_PATH, express.static(FILES_DIR));
-app.use(UPLOADS_PUBLIC_PATH, express.static(UPLOADS_DIR));
+const isMp4File = async (filePath) => {
+  const head = await readFileHead(filePath, 12);
+  return head.length >= 8 && head.toString("ascii", 4, 8) === "ftyp";
+};
 
-const limiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 120,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { error: "Rate limit exceeded" }
-});
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
 
-const aspectRatioMap = {
-  "16:9": "landscape",
-  "9:16": "portrait",
-  "1:1": "square",
-  landscape: "landscape",
-  portrait: "portrait",
-  square: "square"
+const isImageFile = async (filePath) => {
+  const head = await readFileHead(filePath, 12);
+  const isPng = head.subarray(0, 8).equals(pngSignature);
+  const isJpeg = head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff;
+  const isWebp =
+    head.toString("ascii", 0, 4) === "RIFF" && head.toString("ascii", 8, 12) === "WEBP";
+  return isPng || isJpeg || isWebp;
 };
 
-const imageAspectRatios = new Set([
-  "1:1",
-  "2:3",
-  "3:2",
-  "3:4",
-  "4:3",
-  "4:5",
-  "5:4",
-  "9:16",
-  "16:9",
-  "21:9",
-  "auto"
-]);
-const imageResolutions = new Set(["1K", "2K", "4K"]);
-const imageOutputFormats = new Set(["png", "jpg", "jpeg"]);
-const imageSizeOptions = new Set([
-  "1:1",
-  "9:16",
-  "16:9",
-  "3:4",
-  "4:3",
-  "3:2",
-  "2:3",
-  "5:4",
-  "4:5",
-  "21:9",
-  "auto"
-]);
-const imageModels = new Set([
-  "google/nano-banana",
-  "google/nano-banana-edit",
-  "nano-banana-pro"
-]);
+const createSizeLimiter = (maxBytes, initialBytes = 0) => {
+  let received = initialBytes;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new DownloadError(`Download exceeds ${maxBytes} bytes`));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+// Streams a remote file into `${filePath}.part` and only renames it into place
+// once the size, content-type and `validate` checks have all passed. An
+// existing partial file is resumed with an HTTP Range request.
+const downloadRemoteFile = async (originUrl, filePath, { contentTypes, validate }) => {
+  const tempPath = `${filePath}.part`;
+  const existingBytes = await fs.promises.stat(tempPath).then(
+    (stats) => stats.size,
+    () => 0
+  );
+  const headers = existingBytes > 0 ? { Range: `bytes=${existingBytes}-` } : {};
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const response = await openRemoteStream(originUrl, { headers, signal: controller.signal });
+    const { statusCode } = response;
+    const resumed =
+      statusCode === 206 &&
+      existingBytes > 0 &&
+      String(response.headers["content-range"] || "").startsWith(`bytes ${existingBytes}-`);
+    if (statusCode === 416 || (statusCode === 206 && !resumed)) {
+      response.resume();
+      await fs.promises.rm(tempPath, { force: true });
+      throw new DownloadError(`Cannot resume download (status ${statusCode})`, { retryable: true });
+    }
+    if (statusCode !== 200 && !resumed) {
+      response.resume();
+      throw new DownloadError(`Download failed with status ${statusCode}`, {
+        retryable: statusCode >= 500 || [408, 425, 429].includes(statusCode)
+      });
+    }
+    const contentType = String(response.headers["content-type"] || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (contentType && !contentTypes.includes(contentType)) {
+      response.resume();
+      throw new DownloadError(`Unexpected content-type ${contentType}`);
+    }
+    const offset = resumed ? existingBytes : 0;
+    const declaredLength = Number(response.headers["content-length"]);
+    if (declaredLength + offset > DOWNLOAD_MAX_BYTES) {
+      response.resume();
+      throw new DownloadError(`Download exceeds ${DOWNLOAD_MAX_BYTES} bytes`);
+    }
+    await pipeline(
+      response,
+      createSizeLimiter(DOWNLOAD_MAX_BYTES, offset),
+      fs.createWriteStream(tempPath, { flags: resumed ? "a" : "w" })
+    );
+    if (!(await validate(tempPath))) {
+      throw new DownloadError("Downloaded file failed content validation");
+    }
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new DownloadError(`Download timed out after ${DOWNLOAD_TIMEOUT_MS}ms`, {
+        retryable: true
+      });
+    }
+    // Partial data is kept for a Range resume unless the failure is permanent.
+    const downloadError =
+      error instanceof DownloadError
+        ? error
+        : new DownloadError(error.message, { retryable: true });
+    if (!downloadError.retryable) {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+    throw downloadError;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const downloadVideo = async (localTaskId, originUrl) => {
+  await ensureFilesDir();
+  const filePath = path.join(FILES_DIR, `${localTaskId}.mp4`);
+  await downloadRemoteFile(originUrl, filePath, {
+    contentTypes: videoContentTypes,
+    validate: isMp4File
+  });
+  return buildPublicVideoUrl(localTaskId);
+};
+
+const getImageExtension = (outputFormat) => {
+  const normalized = String(outputFormat || "png").toLowerCase();
+  return normalized === "jpeg" ? "jpg" : normalized;
+};
+
+const downloadImage = async (localTaskId, originUrl, outputFormat) => {
+  await ensureFilesDir();
+  const filename = `${localTaskId}.${getImageExtension(outputFormat)}`;
+  await downloadRemoteFile(originUrl, path.join(FILES_DIR, filename), {
+    contentTypes: imageContentTypes,
+    validate: isImageFile
+  });
+  return buildPublicFileUrl(filename);
+};
+
+const getDownloadRetryDelay = (attempts) =>
+  Math.min(DOWNLOAD_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), DOWNLOAD_RETRY_MAX_MS);
+
+const downloadTargets = {
+  video: {
+    getTask,
+    saveTask,
+    originField: "origin_video_url",
+    urlField: "video_url",
+    download: (task) => downloadVideo(task.localTaskId, task.origin_video_url)
+  },
+  image: {
+    getTask: getImageTask,
+    saveTask: saveImageTask,
+    originField: "origin_image_url",
+    urlField: "image_url",
+    download: (task) =>
+      downloadImage(task.localTaskId, task.origin_image_url, task.params?.output_format)
+  }
+};
+
+// Queue members are "<kind>:<localTaskId>"; bare ids predate image downloads.
+const parseQueueMember = (member) => {
+  const separator = member.indexOf(":");
+  if (separator === -1) {
+    return { kind: "video", localTaskId: member };
+  }
+  return { kind: member.slice(0, separator), localTaskId: member.slice(separator + 1) };
+};
+
+const updateDownloadTask = async (target, localTaskId, apply) => {
+  const task = await target.getTask(localTaskId);
+  if (task) {
+    apply(task);
+    await target.saveTask(task);
+  }
+  return task;
+};
+
+// One attempt for a queued download. The per-task lock plus pushing the queue
+// score out by the lease keeps other instances away while it runs; if this
+// process dies the entry simply becomes due again once the lease expires.
+const runTaskDownload = async (member) => {
+  const { kind, localTaskId } = parseQueueMember(member);
+  const target = downloadTargets[kind];
+  if (!target) {
+    await redisClient.zRem(downloadQueueKey, member);
+    return;
+  }
+  const leaseMs = DOWNLOAD_TIMEOUT_MS + 60 * 1000;
+  const acquired = await redisClient.set(downloadLockKey(member), String(process.pid), {
+    NX: true,
+    PX: leaseMs
+  });
+  if (!acquired) {
+    return;
+  }
+  try {
+    await redisClient.zAdd(downloadQueueKey, [{ score: Date.now() + leaseMs, value: member }]);
+    const task = await target.getTask(localTaskId);
+    if (!task?.[target.originField]) {
+      await redisClient.zRem(downloadQueueKey, member);
+      return;
+    }
+    task.download_status = "downloading";
+    task.download_attempts = (Number(task.download_attempts) || 0) + 1;
+    task.download_next_at = null;
+    await target.saveTask(task);
+
+    try {
+      const localUrl = await target.download(task);
+      const downloaded = await updateDownloadTask(target, localTaskId, (latest) => {
+        latest[target.urlField] = localUrl;
+        latest.download_status = "done";
+        latest.download_error = null;
+      });
+      await redisClient.zRem(downloadQueueKey, member);
+      if (downloaded) {
+        await enqueueTaskWebhooks(kind, downloaded, "task.downloaded");
+      }
+    } catch (error) {
+      const retry = error.retryable && task.download_attempts < DOWNLOAD_MAX_ATTEMPTS;
+      const delayMs = getDownloadRetryDelay(task.download_attempts);
+      console.warn(
+        `Failed to download ${kind} for task ${localTaskId} (attempt ${task.download_attempts}): ${error.message}`
+      );
+      const latest = await updateDownloadTask(target, localTaskId, (current) => {
+        current.download_error = error.message;
+        if (retry) {
+          current.download_status = "retrying";
+          current.download_next_at = new Date(Date.now() + delayMs).toISOString();
+          return;
+        }
+        current.download_status = "failed";
+        current.error = current.error || `Failed to download ${kind}: ${error.message}`;
+      });
+      if (retry && latest) {
+        await redisClient.zAdd(downloadQueueKey, [{ score: Date.now() + delayMs, value: member }]);
+      } else {
+        await redisClient.zRem(downloadQueueKey, member);
+      }
+    }
+  } finally {
+    await redisClient.del(downloadLockKey(member));
+  }
+};
+
+let downloadQueueRunning = false;
+const downloadLimit = pLimit(DOWNLOAD_CONCURRENCY);
+
+const processDownloadQueue = async () => {
+  if (downloadQueueRunning) {
+    return;
+  }
+  downloadQueueRunning = true;
+  try {
+    const dueMembers = await redisClient.zRangeByScore(downloadQueueKey, 0, Date.now(), {
+      LIMIT: { offset: 0, count: DOWNLOAD_CONCURRENCY * 5 }
+    });
+    await Promise.all(
+      dueMembers.map((member) =>
+        downloadLimit(async () => {
+          try {
+            await runTaskDownload(member);
+          } catch (error) {
+            console.warn(`Download queue error for ${member}: ${error.message}`);
+          }
+        })
+      )
+    );
+  } catch (error) {
+    console.warn(`Failed to process download queue: ${error.message}`);
+  } finally {
+    downloadQueueRunning = false;
+  }
+};
+
+const enqueueTaskDownload = async (kind, localTaskId) => {
+  const member = `${kind}:${localTaskId}`;
+  await redisClient.zAdd(downloadQueueKey, [{ score: Date.now(), value: member }]);
+  void processDownloadQueue();
+};
+
+// Resets the download bookkeeping so an admin re-trigger starts a fresh series
+// of attempts, clearing the task error only if it came from the last download.
+const resetTaskDownload = (task, kind) => {
+  if (task.download_error && task.error === `Failed to download ${kind}: ${task.download_error}`) {
+    task.error = null;
+  }
+  task.download_status = "pending";
+  task.download_attempts = 0;
+  task.download_error = null;
+  task.download_next_at = null;
+};
+
+const getTaskFilenames = (kind, task) => {
+  const filename =
+    kind === "image"
+      ? `${task.localTaskId}.${getImageExtension(task.params?.output_format)}`
+      : `${task.localTaskId}.mp4`;
+  return [filename, `${filename}.part`];
+};
+
+const removeResultFile = async (filename) => {
+  const filePath = path.join(FILES_DIR, filename);
+  try {
+    const stats = await fs.promises.stat(filePath);
+    await fs.promises.unlink(filePath);
+    return stats.size;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+};
+
+const deleteTaskFiles = async (kind, task) => {
+  await redisClient.zRem(downloadQueueKey, `${kind}:${task.localTaskId}`);
+  for (const filename of getTaskFilenames(kind, task)) {
+    try {
+      await removeResultFile(filename);
+    } catch (error) {
+      console.warn(`Failed to delete result file ${filename}: ${error.message}`);
+    }
+  }
+};
+
+// Result files are named "<localTaskId>.<ext>" (plus ".part" while downloading);
+// image task ids carry the "image_" prefix. Anything else in FILES_DIR is not
+// ours and is left alone.
+const resultFilePattern = /^(?:(task_\w+)\.mp4|(image_\w+)\.(?:png|jpg))(?:\.part)?$/;
+
+const resolveResultFileTask = (filename) => {
+  const match = resultFilePattern.exec(filename);
+  if (!match) {
+    return null;
+  }
+  return match[1]
+    ? { kind: "video", localTaskId: match[1] }
+    : { kind: "image", localTaskId: match[2] };
+};
+
+const getRetentionReason = (filename, task, ageMs) => {
+  if (!task) {
+    return "orphaned";
+  }
+  if (ageMs > FILES_RETENTION_MS && !task.keep) {
+    return "expired";
+  }
+  if (filename.endsWith(".part") && ["done", "failed"].includes(task.download_status)) {
+    return "stale-partial";
+  }
+  return null;
+};
+
+const sweepResultFiles = async ({ force = false } = {}) => {
+  if (!force) {
+    const acquired = await redisClient.set(retentionLockKey, String(process.pid), {
+      NX: true,
+      PX: RETENTION_SWEEP_INTERVAL_MS
+    });
+    if (!acquired) {
+      return null;
+    }
+  }
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: 0,
+    removedCount: 0,
+    freedBytes: 0,
+    removed: []
+  };
+  await ensureFilesDir();
+  const entries = await fs.promises.readdir(FILES_DIR, { withFileTypes: true });
+  const now = Date.now();
+  for (const entry of entries) {
+    const resultFile = entry.isFile() ? resolveResultFileTask(entry.name) : null;
+    if (!resultFile) {
+      continue;
+    }
+    report.scanned += 1;
+    try {
+      const stats = await fs.promises.stat(path.join(FILES_DIR, entry.name));
+      const ageMs = now - stats.mtimeMs;
+      // Fresh files may belong to a download that has not saved its task yet.
+      if (ageMs < RETENTION_GRACE_MS) {
+        continue;
+      }
+      const { kind, localTaskId } = resultFile;
+      const target = downloadTargets[kind];
+      const task = await target.getTask(localTaskId);
+      const reason = getRetentionReason(entry.name, task, ageMs);
+      if (!reason) {
+        continue;
+      }
+      const size = await removeResultFile(entry.name);
+      if (reason === "expired" && !entry.name.endsWith(".part")) {
+        await updateDownloadTask(target, localTaskId, (current) => {
+          current[target.urlField] = null;
+          current.download_status = "expired";
+        });
+      }
+      report.removedCount += 1;
+      report.freedBytes += size;
+      report.removed.push({ file: entry.name, kind, localTaskId, reason, size });
+    } catch (error) {
+      console.warn(`Failed to sweep result file ${entry.name}: ${error.message}`);
+    }
+  }
+  report.finishedAt = new Date().toISOString();
+  console.log(
+    `Retention sweep removed ${report.removedCount}/${report.scanned} files (${report.freedBytes} bytes)`
+  );
+  await redisClient.set(
+    retentionReportKey,
+    JSON.stringify({ ...report, removed: report.removed.slice(0, RETENTION_REPORT_LIMIT) })
+  );
+  return report;
+};
+
+const parseResultVideoUrl = (rawResultJson) => {
+  if (!rawResultJson) {
+    return null;
+  }
+  let payload = rawResultJson;
+  if (typeof rawResultJson === "string") {
+    try {
+      payload = JSON.parse(rawResultJson);
+    } catch (error) {
+      if (rawResultJson.startsWith("http")) {
+        return rawResultJson;
+      }
+      console.warn(`Failed to parse resultJson: ${error.message}`);
+      return null;
+    }
+  }
+  if (!payload || typeof payload !== "object") {
+    return null;
+  }
+  const resultUrls = payload.resultUrls || payload.resultUrl;
+  if (Array.isArray(resultUrls)) {
+    return resultUrls[0] || null;
+  }
+  if (typeof resultUrls === "string") {
+    return resultUrls;
+  }
+  return null;
+};
+
+const normalizeTaskStatus = (status) => {
+  if (!status) {
+    return status;
+  }
+  const normalized = String(status).toLowerCase();
+  if (["success", "succeeded", "completed", "complete", "done"].includes(normalized)) {
+    return "success";
+  }
+  if (["fail", "failed", "failure", "error", "errored"].includes(normalized)) {
+    return "fail";
+  }
+  if (["waiting", "queuing", "pending"].includes(normalized)) {
+    return "queued";
+  }
+  if (["generating", "processing", "in_progress"].includes(normalized)) {
+    return "running";
+  }
+  if (["cancelled", "canceled"].includes(normalized)) {
+    return "cancelled";
+  }
+  return normalized;
+};
+
+const applyTaskUpdate = (task, update) => {
+  if (update.state) {
+    task.status = update.state;
+  }
+  const normalizedProgress = Number(update.progress);
+  if (!Number.isNaN(normalizedProgress)) {
+    task.progress = normalizedProgress;
+  }
+  if (update.state === "fail") {
+    task.error = update.error || "Provider task failed";
+  }
+};
+
+const applyImageTaskUpdate = async (task, update) => {
+  if (await resubmitTransientFailure("image", task, update)) {
+    return;
+  }
+  const previousStatus = task.status;
+  applyTaskUpdate(task, update);
+  if (update.state === "success") {
+    task.progress = 100;
+    if (update.resultUrl) {
+      task.origin_image_url = update.resultUrl;
+      task.download_status = "pending";
+      task.download_attempts = 0;
+      task.download_error = null;
+    } else {
+      task.error = task.error || "Missing origin image url in callback";
+    }
+  }
+  await saveImageTask(task);
+  if (terminalTaskStatuses.has(task.status)) {
+    await removeGenerationJob("image", task.localTaskId);
+  }
+  await notifyTaskFinished("image", task, previousStatus);
+  if (update.state === "success" && update.resultUrl) {
+    await enqueueTaskDownload("image", task.localTaskId);
+  }
+};
+
+const applyVideoTaskUpdate = async (task, update) => {
+  if (await resubmitTransientFailure("video", task, update)) {
+    return;
+  }
+  const previousStatus = task.status;
+  applyTaskUpdate(task, update);
+  if (update.state === "success") {
+    task.progress = 100;
+    if (update.resultUrl) {
+      task.origin_video_url = update.resultUrl;
+      task.download_status = "pending";
+      task.download_attempts = 0;
+      task.download_error = null;
+    } else {
+      task.error = task.error || "Missing origin video url in callback";
+    }
+  }
+  await saveTask(task);
+  if (terminalTaskStatuses.has(task.status)) {
+    await removeGenerationJob("video", task.localTaskId);
+  }
+  await notifyTaskFinished("video", task, previousStatus);
+  if (update.state === "success" && update.resultUrl) {
+    await enqueueTaskDownload("video", task.localTaskId);
+  }
+};
+
+// Outbound webhooks. Every event produces one delivery per target (enabled
+// global webhooks subscribed to the event type, plus the task's notify_url).
+// Deliveries are queued in Redis like downloads, retried with exponential
+// backoff and kept as a log that the admin view can replay from.
+const normalizeNotifyUrl = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    throw new ApiError(400, "notify_url must be a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol) || url.href.length > 2048) {
+    throw new ApiError(400, "notify_url must be an http(s) URL");
+  }
+  return url.href;
+};
+
+const getWebhooks = async () => {
+  const entries = await redisClient.hGetAll(webhooksKey);
+  return Object.values(entries)
+    .map(parseTask)
+    .filter(Boolean)
+    .sort((left, right) => String(left.createdAt).localeCompare(String(right.createdAt)));
+};
+
+const getWebhookDelivery = async (deliveryId) => {
+  const raw = await redisClient.get(webhookDeliveryKey(deliveryId));
+  return parseTask(raw);
+};
+
+const saveWebhookDelivery = async (delivery) => {
+  await redisClient.set(webhookDeliveryKey(delivery.deliveryId), JSON.stringify(delivery), {
+    EX: TASK_TTL_SECONDS
+  });
+};
+
+const queueWebhookDelivery = async ({ webhookId = null, url, event, replayOf = null }) => {
+  const now = new Date().toISOString();
+  const delivery = {
+    deliveryId: `dlv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    webhookId,
+    url,
+    event,
+    replayOf,
+    status: "pending",
+    attempts: 0,
+    lastStatusCode: null,
+    lastError: null,
+    nextAttemptAt: now,
+    deliveredAt: null,
+    createdAt: now
+  };
+  await saveWebhookDelivery(delivery);
+  const multi = redisClient.multi();
+  multi.zAdd(webhookDeliveriesKey, [{ score: Date.now(), value: delivery.deliveryId }]);
+  multi.zRemRangeByRank(webhookDeliveriesKey, 0, -WEBHOOK_LOG_LIMIT - 1);
+  multi.zAdd(webhookQueueKey, [{ score: Date.now(), value: delivery.deliveryId }]);
+  await multi.exec();
+  return delivery;
+};
+
+// Webhook failures must never affect the task pipeline that raised the event.
+const enqueueTaskWebhooks = async (kind, task, type) => {
+  try {
+    const targets = (await getWebhooks())
+      .filter((webhook) => webhook.enabled && webhook.events.includes(type))
+      .map((webhook) => ({ webhookId: webhook.webhookId, url: webhook.url }));
+    if (task.notify_url) {
+      targets.push({ webhookId: null, url: task.notify_url });
+    }
+    if (targets.length === 0) {
+      return;
+    }
+    const event = {
+      id: `evt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: { kind, task: taskListItems[kind](task) }
+    };
+    for (const target of targets) {
+      await queueWebhookDelivery({ ...target, event });
+    }
+    void processWebhookQueue();
+  } catch (error) {
+    console.warn(`Failed to queue ${type} webhooks for ${task.localTaskId}: ${error.message}`);
+  }
+};
+
+const notifyTaskFinished = async (kind, task, previousStatus) => {
+  if (previousStatus === task.status || !["success", "fail"].includes(task.status)) {
+    return;
+  }
+  await enqueueTaskWebhooks(kind, task, `task.${task.status}`);
+};
+
+const signOutboundWebhook = (timestamp, body) =>
+  crypto.createHmac("sha256", webhookSecret).update(`${timestamp}.${body}`).digest("hex");
+
+const checkWebhookUrl = (url) => {
+  if (WEBHOOK_ALLOW_PRIVATE_NETWORKS) {
+    return { trusted: true };
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Blocked webhook address ${hostname}`);
+  }
+  return { trusted: false };
+};
+
+// Redirects are not followed; any non-2xx answer counts as a failed attempt.
+const postWebhook = (rawUrl, body, headers) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(rawUrl);
+    const { trusted } = checkWebhookUrl(url);
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers
+        },
+        lookup: trusted ? undefined : safeLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+const getWebhookRetryDelay = (attempts) =>
+  Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), WEBHOOK_RETRY_MAX_MS);
+
+const runWebhookDelivery = async (deliveryId) => {
+  const acquired = await redisClient.set(webhookLockKey(deliveryId), String(process.pid), {
+    NX: true,
+    PX: WEBHOOK_TIMEOUT_MS + 60 * 1000
+  });
+  if (!acquired) {
+    return;
+  }
+  try {
+    const delivery = await getWebhookDelivery(deliveryId);
+    if (!delivery || !["pending", "retrying"].includes(delivery.status)) {
+      await redisClient.zRem(webhookQueueKey, deliveryId);
+      return;
+    }
+    const body = JSON.stringify(delivery.event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    delivery.attempts += 1;
+    try {
+      const statusCode = await postWebhook(delivery.url, body, {
+        "X-Webhook-Id": delivery.event.id,
+        "X-Webhook-Delivery": delivery.deliveryId,
+        "X-Webhook-Event": delivery.event.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signOutboundWebhook(timestamp, body)}`
+      });
+      delivery.lastStatusCode = statusCode;
+      delivery.lastError = statusCode >= 200 && statusCode < 300 ? null : `HTTP ${statusCode}`;
+    } catch (error) {
+      delivery.lastStatusCode = null;
+      delivery.lastError = error.message;
+    }
+
+    if (!delivery.lastError) {
+      delivery.status = "success";
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts < WEBHOOK_MAX_ATTEMPTS) {
+      const delayMs = getWebhookRetryDelay(delivery.attempts);
+      delivery.status = "retrying";
+      delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    } else {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+    }
+    if (delivery.lastError) {
+      console.warn(
+        `Webhook delivery ${deliveryId} to ${delivery.url} failed (attempt ${delivery.attempts}): ${delivery.lastError}`
+      );
+    }
+    await saveWebhookDelivery(delivery);
+    if (delivery.status === "retrying") {
+      await redisClient.zAdd(webhookQueueKey, [
+        { score: Number(new Date(delivery.nextAttemptAt)), value: deliveryId }
+      ]);
+    } else {
+      await redisClient.zRem(webhookQueueKey, deliveryId);
+    }
+  } finally {
+    await redisClient.del(webhookLockKey(deliveryId));
+  }
+};
+
+let webhookQueueRunning = false;
+const webhookLimit = pLimit(WEBHOOK_CONCURRENCY);
+
+const processWebhookQueue = async () => {
+  if (webhookQueueRunning) {
+    return;
+  }
+  webhookQueueRunning = true;
+  try {
+    const dueIds = await redisClient.zRangeByScore(webhookQueueKey, 0, Date.now(), {
+      LIMIT: { offset: 0, count: WEBHOOK_CONCURRENCY * 5 }
+    });
+    await Promise.all(
+      dueIds.map((deliveryId) =>
+        webhookLimit(async () => {
+          try {
+            await runWebhookDelivery(deliveryId);
+          } catch (error) {
+            console.warn(`Webhook queue error for ${deliveryId}: ${error.message}`);
+          }
+        })
+      )
+    );
+  } catch (error) {
+    console.warn(`Failed to process webhook queue: ${error.message}`);
+  } finally {
+    webhookQueueRunning = false;
+  }
+};
+
+app.set("trust proxy", 1);
+app.use(cors());
+app.use(express.json({ limit: "1mb" }));
+app.use(NORMALIZED_FILES_PATH, express.static(FILES_DIR));
+app.use(UPLOADS_PUBLIC_PATH, express.static(UPLOADS_DIR));
+
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Rate limit exceeded" }
+});
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: async (req, file, cb) => {
+      try {
+        await ensureUploadsDir();
+        cb(null, UPLOADS_DIR);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      const timestamp = Date.now();
+      const ext = file.originalname ? path.extname(file.originalname) : "";
+      const base = file.originalname ? path.basename(file.originalname, ext) : "upload";
+      const safeBase = base.replace(/[^a-z0-9-_]/gi, "_");
+      cb(null, `${timestamp}-${safeBase}${ext}`);
+    }
+  })
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES }
+});
+
+class ApiError extends Error {
+  constructor(statusCode, message, { retryable = false } = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+const safeEqual = (left, right) => {
+  const leftBuffer = Buffer.from(String(left ?? ""));
+  const rightBuffer = Buffer.from(String(right ?? ""));
+  if (leftBuffer.length !== rightBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(leftBuffer, rightBuffer);
+};
+
+const createCallbackToken = () => crypto.randomBytes(24).toString("hex");
+
+const signWebhook = (secret, taskId, timestamp) =>
+  crypto.createHmac("sha256", secret).update(`${taskId}.${timestamp}`).digest("base64");
+
+// Webhook signatures follow the Kie scheme: base64(HMAC-SHA256("<taskId>.<timestamp>"))
+// carried in X-Webhook-Signature alongside X-Webhook-Timestamp. The timestamp
+// (Unix seconds, or milliseconds) must be within CALLBACK_TIMESTAMP_TOLERANCE_MS
+// of now so a captured request cannot be replayed later.
+const verifyWebhookSignature = (req, secret, taskId) => {
+  const signature = req.get("x-webhook-signature");
+  const timestamp = req.get("x-webhook-timestamp");
+  if (!signature || !timestamp || !taskId) {
+    return false;
+  }
+  const value = Number(timestamp);
+  const timestampMs = value < 1e12 ? value * 1000 : value;
+  const skewMs = Math.abs(Date.now() - timestampMs);
+  if (!Number.isFinite(skewMs) || skewMs > CALLBACK_TIMESTAMP_TOLERANCE_MS) {
+    return false;
+  }
+  return safeEqual(signature, signWebhook(secret, taskId, timestamp));
+};
+
+const resolveImageUrls = (image_url, image_urls, baseUrl) => {
+  if (Array.isArray(image_urls)) {
+    return image_urls.filter(Boolean).map((url) => ensureAbsoluteUrl(url, baseUrl));
+  }
+  if (image_url) {
+    return [ensureAbsoluteUrl(image_url, baseUrl)];
+  }
+  return [];
+};
+
+const aspectRatioMap = {
+  "16:9": "landscape",
+  "9:16": "portrait",
+  "1:1": "square",
+  landscape: "landscape",
+  portrait: "portrait",
+  square: "square"
+};
+
+const imageAspectRatios = new Set([
+  "1:1",
+  "2:3",
+  "3:2",
+  "3:4",
+  "4:3",
+  "4:5",
+  "5:4",
+  "9:16",
+  "16:9",
+  "21:9",
+  "auto"
+]);
+const imageResolutions = new Set(["1K", "2K", "4K"]);
+const imageOutputFormats = new Set(["png", "jpg", "jpeg"]);
+const imageSizeOptions = new Set([
+  "1:1",
+  "9:16",
+  "16:9",
+  "3:4",
+  "4:3",
+  "3:2",
+  "2:3",
+  "5:4",
+  "4:5",
+  "21:9",
+  "auto"
+]);
+const imageModels = new Set([
+  "google/nano-banana",
+  "google/nano-banana-edit",
+  "nano-banana-pro"
+]);
 
 const frameMap = {
   5: "10",
@@ -401,416 +1841,2298 @@ const frameMap = {
   15: "15"
 };
 
-const videoModels = {
-  t2v: new Set(["sora-2-text-to-video", "sora-2-pro-text-to-video"]),
-  i2v: new Set(["sora-2-image-to-video", "sora-2-pro-image-to-video"])
+const videoModels = {
+  t2v: new Set(["sora-2-text-to-video", "sora-2-pro-text-to-video"]),
+  i2v: new Set(["sora-2-image-to-video", "sora-2-pro-image-to-video"])
+};
+const videoQualityOptions = new Set(["standard", "high"]);
+const videoDefaultQuality = {
+  t2v: "high",
+  i2v: "standard"
+};
+
+const isTransientCode = (code) => TRANSIENT_FAIL_CODES.has(String(code ?? ""));
+
+// Network failures and transient status codes (HTTP or the `code` in the body)
+// are flagged retryable so createProviderTask can back off and try again.
+const kieRequest = async (pathname, { method = "GET", body } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${KIE_BASE_URL}${pathname}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${KIE_API_KEY}`,
+        ...(body ? { "Content-Type": "application/json" } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new ApiError(502, `Kie API unreachable: ${error.message}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new ApiError(502, `Kie API error: ${errorText}`, {
+      retryable: isTransientCode(response.status)
+    });
+  }
+
+  const data = await response.json();
+  if (data?.code !== 200) {
+    throw new ApiError(502, data?.msg || "Kie API error", {
+      retryable: isTransientCode(data?.code)
+    });
+  }
+  return data.data;
+};
+
+const parseKieTaskData = (data = {}) => ({
+  providerTaskId: data.taskId,
+  state: normalizeTaskStatus(data.state),
+  progress: data.progress,
+  resultUrl: parseResultVideoUrl(data.resultJson),
+  error: data.failMsg || data.msg || data.failCode || null,
+  errorCode: data.failCode ?? null
+});
+
+// Every provider adapter exposes the same surface so the route handlers never
+// touch vendor payloads directly:
+//   listModels()                         -> { video: { t2v, i2v }, image, defaults }
+//   buildVideoInput(spec) / buildImageInput(spec)
+//                                        -> vendor input (throws ApiError 400 when invalid)
+//   createTask({ model, input, callbackUrl }) -> provider task id
+//   parseCallback(body)                  -> normalized update or null
+//   verifyCallback(req)                  -> false when the provider signature is invalid
+//   queryTask(providerTaskId)            -> normalized update
+//   cancelTask(providerTaskId)           -> optional, only when the vendor can stop a task
+// A normalized update is { providerTaskId, state, progress, resultUrl, error, errorCode }.
+const kieProvider = {
+  name: "kie",
+
+  listModels() {
+    return {
+      video: {
+        t2v: [...videoModels.t2v],
+        i2v: [...videoModels.i2v]
+      },
+      image: [...imageModels],
+      defaults: {
+        t2v: process.env.KIE_T2V_MODEL || "sora-2-text-to-video",
+        i2v: process.env.KIE_I2V_MODEL || "sora-2-image-to-video",
+        image: process.env.KIE_IMAGE_MODEL || "nano-banana-pro"
+      }
+    };
+  },
+
+  buildVideoInput({ mode, model, prompt, imageUrls, duration, aspectRatio, size, characterIds }) {
+    const resolvedAspectRatio = aspectRatioMap[aspectRatio];
+    if (!resolvedAspectRatio) {
+      throw new ApiError(400, "Invalid aspect_ratio");
+    }
+
+    const resolvedFrames = frameMap[Number(duration)];
+    if (!resolvedFrames) {
+      throw new ApiError(400, "Invalid duration");
+    }
+
+    let resolvedSize;
+    const input = {
+      prompt,
+      aspect_ratio: resolvedAspectRatio,
+      n_frames: resolvedFrames,
+      remove_watermark: true
+    };
+
+    if (model.includes("-pro-")) {
+      const defaultQuality = videoDefaultQuality[mode] || "high";
+      resolvedSize = String(size || defaultQuality).toLowerCase();
+      if (!videoQualityOptions.has(resolvedSize)) {
+        throw new ApiError(400, "Invalid size");
+      }
+      input.size = resolvedSize;
+    }
+
+    if (mode === "i2v") {
+      input.image_urls = imageUrls;
+    }
+
+    if (Array.isArray(characterIds) && characterIds.length > 0) {
+      input.character_id_list = characterIds;
+    }
+
+    return { input, size: resolvedSize };
+  },
+
+  buildImageInput({
+    model,
+    prompt,
+    imageSize,
+    outputFormat,
+    aspectRatio,
+    resolution,
+    imageUrls,
+    imageInputs
+  }) {
+    if (!imageOutputFormats.has(outputFormat)) {
+      throw new ApiError(400, "Invalid output_format");
+    }
+
+    const input = { prompt };
+
+    if (model === "google/nano-banana" || model === "google/nano-banana-edit") {
+      if (!imageSizeOptions.has(imageSize)) {
+        throw new ApiError(400, "Invalid image_size");
+      }
+      if (!["png", "jpeg"].includes(outputFormat)) {
+        throw new ApiError(400, "Invalid output_format");
+      }
+      input.output_format = outputFormat;
+      input.image_size = imageSize;
+
+      if (model === "google/nano-banana-edit") {
+        if (imageUrls.length === 0) {
+          throw new ApiError(400, "image_urls is required for nano-banana-edit");
+        }
+        input.image_urls = imageUrls;
+      }
+    }
+
+    if (model === "nano-banana-pro") {
+      if (!imageAspectRatios.has(aspectRatio)) {
+        throw new ApiError(400, "Invalid aspect_ratio");
+      }
+
+      if (!imageResolutions.has(resolution)) {
+        throw new ApiError(400, "Invalid resolution");
+      }
+
+      if (!["png", "jpg"].includes(outputFormat)) {
+        throw new ApiError(400, "Invalid output_format");
+      }
+
+      input.aspect_ratio = aspectRatio;
+      input.resolution = resolution;
+      input.output_format = outputFormat;
+
+      if (imageInputs.length > 0) {
+        input.image_input = imageInputs;
+      }
+    }
+
+    return input;
+  },
+
+  async createTask({ model, input, callbackUrl }) {
+    const data = await kieRequest("/api/v1/jobs/createTask", {
+      method: "POST",
+      body: {
+        model,
+        callBackUrl: /^https?:\/\//i.test(callbackUrl || "") ? callbackUrl : "",
+        input
+      }
+    });
+    if (!data?.taskId) {
+      throw new ApiError(502, "Kie API error");
+    }
+    return data.taskId;
+  },
+
+  parseCallback(body) {
+    if (!body?.data?.taskId) {
+      return null;
+    }
+    return parseKieTaskData(body.data);
+  },
+
+  verifyCallback(req) {
+    if (!KIE_WEBHOOK_HMAC_KEY) {
+      return true;
+    }
+    return verifyWebhookSignature(req, KIE_WEBHOOK_HMAC_KEY, req.body?.data?.taskId);
+  },
+
+  async queryTask(providerTaskId) {
+    const data = await kieRequest(
+      `/api/v1/jobs/recordInfo?taskId=${encodeURIComponent(providerTaskId)}`
+    );
+    return parseKieTaskData({ taskId: providerTaskId, ...data });
+  }
+};
+
+const MOCK_QUEUE_MS = Number(process.env.MOCK_QUEUE_MS || 2000);
+const MOCK_RUN_MS = Number(process.env.MOCK_RUN_MS || 8000);
+const MOCK_FAILURE_RATE = Math.min(Math.max(Number(process.env.MOCK_FAILURE_RATE) || 0, 0), 1);
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET?.trim() || "";
+const MOCK_ASSETS_PATH = "/api/mock/assets";
+const MOCK_TASK_LIMIT = 1000;
+const MOCK_TASK_RETENTION_MS = 60 * 60 * 1000;
+const mockTasks = new Map();
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+};
+
+const buildMockPng = (size = 64) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const rows = [];
+  for (let y = 0; y < size; y += 1) {
+    const row = Buffer.alloc(1 + size * 3);
+    for (let x = 0; x < size; x += 1) {
+      row[1 + x * 3] = Math.round((x / size) * 255);
+      row[2 + x * 3] = Math.round((y / size) * 255);
+      row[3 + x * 3] = 180;
+    }
+    rows.push(row);
+  }
+  return Buffer.concat([
+    pngSignature,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+};
+
+const mockAssets = {
+  // A 2 second 160x90 H.264 baseline test pattern, small enough to keep in git
+  // and playable by the <video> preview.
+  "sample.mp4": {
+    contentType: "video/mp4",
+    file: process.env.MOCK_VIDEO_FILE || new URL("./assets/sample.mp4", import.meta.url)
+  },
+  "sample.png": { contentType: "image/png", load: buildMockPng, file: process.env.MOCK_IMAGE_FILE }
+};
+
+const getMockAsset = async (name) => {
+  const asset = mockAssets[name];
+  if (!asset) {
+    return null;
+  }
+  if (!asset.body) {
+    asset.body = asset.file ? await fs.promises.readFile(asset.file) : asset.load();
+  }
+  return asset;
+};
+
+// Mock tasks are kept in memory only long enough for their callbacks and any
+// reconcile queries. Map order is creation order, so pruning stops at the
+// first task that is neither expired nor over the cap.
+const pruneMockTasks = (now = Date.now()) => {
+  for (const [id, mockTask] of mockTasks) {
+    const finishedAt = mockTask.createdAt + MOCK_QUEUE_MS + MOCK_RUN_MS;
+    if (mockTasks.size <= MOCK_TASK_LIMIT && now - finishedAt < MOCK_TASK_RETENTION_MS) {
+      return;
+    }
+    mockTasks.delete(id);
+  }
+};
+
+const getMockLocalBaseUrl = () => `http://127.0.0.1:${PORT}`;
+
+const getMockTaskSnapshot = (mockTask, now = Date.now()) => {
+  const elapsed = now - mockTask.createdAt;
+  const snapshot = {
+    providerTaskId: mockTask.id,
+    state: "queued",
+    progress: 0,
+    resultUrl: null,
+    error: null,
+    errorCode: null
+  };
+  if (elapsed < MOCK_QUEUE_MS) {
+    return snapshot;
+  }
+  if (elapsed < MOCK_QUEUE_MS + MOCK_RUN_MS) {
+    snapshot.state = "running";
+    snapshot.progress = Math.floor(((elapsed - MOCK_QUEUE_MS) / Math.max(MOCK_RUN_MS, 1)) * 100);
+    return snapshot;
+  }
+  if (mockTask.willFail) {
+    snapshot.state = "fail";
+    snapshot.error = "Mock provider simulated failure";
+    snapshot.errorCode = "500";
+    return snapshot;
+  }
+  const baseUrl = getPublicBaseUrl() || getMockLocalBaseUrl();
+  const assetName = mockTask.kind === "image" ? "sample.png" : "sample.mp4";
+  snapshot.state = "success";
+  snapshot.progress = 100;
+  snapshot.resultUrl = `${baseUrl}${MOCK_ASSETS_PATH}/${assetName}`;
+  return snapshot;
+};
+
+const sendMockCallback = async (mockTask) => {
+  if (!mockTask.callbackUrl || mockTask.cancelled) {
+    return;
+  }
+  const snapshot = getMockTaskSnapshot(mockTask);
+  const headers = { "Content-Type": "application/json" };
+  if (MOCK_WEBHOOK_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers["X-Webhook-Timestamp"] = timestamp;
+    headers["X-Webhook-Signature"] = signWebhook(MOCK_WEBHOOK_SECRET, mockTask.id, timestamp);
+  }
+  try {
+    await fetch(mockTask.callbackUrl, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        taskId: snapshot.providerTaskId,
+        state: snapshot.state,
+        progress: snapshot.progress,
+        resultUrl: snapshot.resultUrl,
+        error: snapshot.error,
+        errorCode: snapshot.errorCode
+      })
+    });
+  } catch (error) {
+    console.warn(`Mock callback failed for ${mockTask.id}: ${error.message}`);
+  }
+};
+
+// Callbacks always target this process, keeping only the path and query of
+// the URL the route handlers built so any per-task parameters survive.
+const resolveMockCallbackUrl = (callbackUrl) => {
+  const localBaseUrl = getMockLocalBaseUrl();
+  if (!callbackUrl) {
+    return `${localBaseUrl}/api/callback/mock`;
+  }
+  try {
+    const url = new URL(callbackUrl, localBaseUrl);
+    return `${localBaseUrl}${url.pathname}${url.search}`;
+  } catch (error) {
+    return `${localBaseUrl}/api/callback/mock`;
+  }
+};
+
+const mockProvider = {
+  name: "mock",
+
+  listModels() {
+    return kieProvider.listModels();
+  },
+
+  buildVideoInput(spec) {
+    return kieProvider.buildVideoInput(spec);
+  },
+
+  buildImageInput(spec) {
+    return kieProvider.buildImageInput(spec);
+  },
+
+  async createTask({ model, input, callbackUrl }) {
+    const id = `mock_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const mockTask = {
+      id,
+      kind: kieProvider.listModels().image.includes(model) ? "image" : "video",
+      model,
+      input,
+      callbackUrl: resolveMockCallbackUrl(callbackUrl),
+      createdAt: Date.now(),
+      willFail: Math.random() < MOCK_FAILURE_RATE
+    };
+    pruneMockTasks();
+    mockTasks.set(id, mockTask);
+    setTimeout(() => void sendMockCallback(mockTask), MOCK_QUEUE_MS).unref();
+    setTimeout(() => {
+      void sendMockCallback(mockTask);
+    }, MOCK_QUEUE_MS + MOCK_RUN_MS).unref();
+    return id;
+  },
+
+  parseCallback(body) {
+    if (!body?.taskId) {
+      return null;
+    }
+    return {
+      providerTaskId: body.taskId,
+      state: normalizeTaskStatus(body.state),
+      progress: body.progress,
+      resultUrl: body.resultUrl || null,
+      error: body.error || null,
+      errorCode: body.errorCode ?? null
+    };
+  },
+
+  verifyCallback(req) {
+    if (!MOCK_WEBHOOK_SECRET) {
+      return true;
+    }
+    return verifyWebhookSignature(req, MOCK_WEBHOOK_SECRET, req.body?.taskId);
+  },
+
+  async queryTask(providerTaskId) {
+    const mockTask = mockTasks.get(providerTaskId);
+    if (!mockTask) {
+      throw new ApiError(404, "Mock task not found");
+    }
+    return getMockTaskSnapshot(mockTask);
+  },
+
+  async cancelTask(providerTaskId) {
+    const mockTask = mockTasks.get(providerTaskId);
+    if (!mockTask) {
+      throw new ApiError(404, "Mock task not found");
+    }
+    mockTask.cancelled = true;
+  }
+};
+
+const providers = {
+  [kieProvider.name]: kieProvider,
+  [mockProvider.name]: mockProvider
+};
+
+const DEFAULT_PROVIDER = "kie";
+const ACTIVE_PROVIDER = (process.env.VIDEO_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+
+const getProvider = (name = ACTIVE_PROVIDER) => {
+  const provider = providers[name || DEFAULT_PROVIDER];
+  if (!provider) {
+    throw new ApiError(500, `Unknown provider: ${name}`);
+  }
+  return provider;
+};
+
+const getTaskProvider = (task) => getProvider(task?.provider || DEFAULT_PROVIDER);
+
+// Without a known public base URL the path is returned relative; adapters that
+// need an absolute URL (Kie) then omit the callback entirely.
+const buildCallbackUrl = (provider, baseUrl, callbackToken) => {
+  const callbackBaseUrl = baseUrl || getPublicBaseUrl();
+  const token = encodeURIComponent(callbackToken);
+  return `${callbackBaseUrl}/api/callback/${provider.name}?token=${token}`;
+};
+
+const toPublicTask = (task) => {
+  if (!task) {
+    return task;
+  }
+  const { callbackToken, providerRequest, ...publicTask } = task;
+  return publicTask;
+};
+
+const getProviderRetryDelay = (attempt) =>
+  Math.min(PROVIDER_RETRY_BASE_MS * 2 ** Math.max(attempt - 1, 0), PROVIDER_RETRY_MAX_MS);
+
+const appendTaskAttempts = (task, entries) => {
+  task.attempts = [...(task.attempts || []), ...entries].slice(-TASK_ATTEMPTS_LIMIT);
+};
+
+// Submits a task, backing off between attempts while the provider reports a
+// retryable error. Every attempt is returned so it can be kept on the task;
+// when all attempts fail the last error is rethrown with them attached.
+const createProviderTask = async (provider, request, action = "create") => {
+  const attempts = [];
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const providerTaskId = await provider.createTask(request);
+      attempts.push({ action, at: new Date().toISOString(), providerTaskId, error: null });
+      return { providerTaskId, attempts };
+    } catch (error) {
+      attempts.push({
+        action,
+        at: new Date().toISOString(),
+        providerTaskId: null,
+        error: error.message
+      });
+      if (!error.retryable || attempt >= PROVIDER_RETRY_MAX_ATTEMPTS) {
+        error.attempts = attempts;
+        throw error;
+      }
+      const delay = getProviderRetryDelay(attempt);
+      console.warn(
+        `Provider ${provider.name} ${action} attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+const isTransientFailure = (update) =>
+  update.state === "fail" && update.errorCode != null && isTransientCode(update.errorCode);
+
+// A failure the provider marks transient is resubmitted with the original
+// request (up to TASK_RESUBMIT_MAX times) instead of failing the task. The task
+// goes back to pending and through the generation queue, so resubmits share
+// the in-flight and rate limits with new work and the caller is not held up.
+// Returns true when the task was requeued.
+const resubmitTransientFailure = async (kind, task, update) => {
+  if (
+    TASK_RESUBMIT_MAX === 0 ||
+    !task.providerRequest ||
+    (task.resubmits || 0) >= TASK_RESUBMIT_MAX ||
+    !isTransientFailure(update)
+  ) {
+    return false;
+  }
+  appendTaskAttempts(task, [
+    {
+      action: "fail",
+      at: new Date().toISOString(),
+      providerTaskId: task.kieTaskId,
+      error: update.error || "Provider task failed",
+      errorCode: String(update.errorCode)
+    }
+  ]);
+  console.log(
+    `Requeued ${kind} task localTaskId=${task.localTaskId} after kieTaskId=${task.kieTaskId}`
+  );
+  // The failed provider task stays in attempts, which is how its late
+  // callbacks are recognised and ignored.
+  task.kieTaskId = null;
+  task.resubmits = (task.resubmits || 0) + 1;
+  task.dispatch_attempts = 0;
+  task.status = "pending";
+  task.progress = 0;
+  task.error = null;
+  await taskKinds[kind].saveTask(task);
+  await redisClient.sRem(generationInFlightKey, `${kind}:${task.localTaskId}`);
+  await enqueueGenerationJob(kind, task);
+  return true;
+};
+
+// Callbacks must carry the per-task token embedded in the callback URL. Tasks
+// created before tokens existed have none and rely on result verification.
+const verifyCallbackToken = (task, token) => {
+  if (!task.callbackToken) {
+    return true;
+  }
+  return safeEqual(token, task.callbackToken);
+};
+
+// A success reported by callback is only accepted once the provider's own
+// task-info API agrees, and the result URL is taken from that response rather
+// than from the callback body.
+const confirmProviderSuccess = async (provider, update) => {
+  if (!CALLBACK_VERIFY_RESULT) {
+    return update;
+  }
+  const remote = await provider.queryTask(update.providerTaskId);
+  if (remote.state !== "success") {
+    throw new Error(`provider reports state=${remote.state}`);
+  }
+  return { ...update, resultUrl: remote.resultUrl || null };
+};
+
+// `priority` is one of generationPriorities; `run_at` (ISO string or epoch ms)
+// defers submission and must fall inside the task TTL so the record survives.
+const normalizeJobSchedule = ({ priority, run_at: runAtInput } = {}) => {
+  const normalizedPriority =
+    priority === undefined || priority === null || priority === ""
+      ? "normal"
+      : String(priority).trim().toLowerCase();
+  if (!Object.hasOwn(generationPriorities, normalizedPriority)) {
+    throw new ApiError(400, "Invalid priority");
+  }
+  if (runAtInput === undefined || runAtInput === null || runAtInput === "") {
+    return { priority: normalizedPriority, runAt: null };
+  }
+  const time = typeof runAtInput === "number" ? runAtInput : Date.parse(runAtInput);
+  if (!Number.isFinite(time)) {
+    throw new ApiError(400, "Invalid run_at");
+  }
+  if (time > Date.now() + TASK_TTL_SECONDS * 1000) {
+    throw new ApiError(400, "run_at is beyond the task TTL");
+  }
+  return {
+    priority: normalizedPriority,
+    runAt: time > Date.now() ? new Date(time).toISOString() : null
+  };
+};
+
+// Validates a video job and builds the provider input without creating
+// anything, so batch imports can report per-row errors before submission.
+const prepareVideoJob = (job = {}, baseUrl = "") => {
+  const {
+    mode,
+    model: requestedModel,
+    prompt,
+    image_url,
+    image_urls,
+    duration = 5,
+    aspect_ratio = "16:9",
+    size,
+    character_id_list,
+    batchCount = 1
+  } = job;
+
+  if (!mode || !prompt) {
+    throw new ApiError(400, "Missing required fields");
+  }
+
+  if (!["t2v", "i2v"].includes(mode)) {
+    throw new ApiError(400, "Invalid mode");
+  }
+
+  const resolvedImageUrls = resolveImageUrls(image_url, image_urls, baseUrl);
+
+  if (mode === "i2v" && resolvedImageUrls.length === 0) {
+    throw new ApiError(400, "image_url or image_urls is required for i2v");
+  }
+
+  const provider = getProvider();
+  const catalog = provider.listModels();
+  const model = (requestedModel || catalog.defaults[mode]).trim();
+
+  if (requestedModel) {
+    const allowedModels = catalog.video[mode];
+    if (!allowedModels || !allowedModels.includes(model)) {
+      throw new ApiError(400, "Invalid model");
+    }
+  }
+
+  const normalizedBatchCount = Math.min(Math.max(Number(batchCount) || 1, 1), 20);
+  const { priority, runAt } = normalizeJobSchedule(job);
+  const notifyUrl = normalizeNotifyUrl(job.notify_url);
+
+  const { input, size: resolvedSize } = provider.buildVideoInput({
+    mode,
+    model,
+    prompt,
+    imageUrls: resolvedImageUrls,
+    duration,
+    aspectRatio: aspect_ratio,
+    size,
+    characterIds: character_id_list
+  });
+
+  return {
+    provider,
+    input,
+    mode,
+    model,
+    prompt,
+    resolvedImageUrls,
+    duration,
+    aspect_ratio,
+    resolvedSize,
+    character_id_list,
+    normalizedBatchCount,
+    priority,
+    runAt,
+    notifyUrl
+  };
+};
+
+const createOne = async (
+  job = {},
+  { baseUrl = "", retryOf = null, batchId = null, createdBy = null } = {}
+) => {
+  const {
+    provider,
+    input,
+    mode,
+    model,
+    prompt,
+    resolvedImageUrls,
+    duration,
+    aspect_ratio,
+    resolvedSize,
+    character_id_list,
+    normalizedBatchCount,
+    priority,
+    runAt,
+    notifyUrl
+  } = prepareVideoJob(job, baseUrl);
+  const remove_watermark = true;
+
+  // Copies are independent: one failing to save must not hide the others,
+  // which are already queued and will be submitted to the provider.
+  const settled = await Promise.allSettled(
+    Array.from({ length: normalizedBatchCount }, async () => {
+      const localTaskId = `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const createdAt = new Date().toISOString();
+      const callbackToken = createCallbackToken();
+      const task = {
+        localTaskId,
+        createdAt,
+        mode,
+        prompt,
+        status: "pending",
+        progress: 0,
+        video_url: null,
+        origin_video_url: null,
+        error: null,
+        priority,
+        run_at: runAt,
+        provider: provider.name,
+        kieTaskId: null,
+        callbackToken,
+        providerRequest: {
+          model,
+          input,
+          callbackUrl: buildCallbackUrl(provider, baseUrl, callbackToken)
+        },
+        attempts: [],
+        retryOf,
+        batchId,
+        createdBy,
+        templateId: job.template_id || null,
+        templateVars: job.template_vars || null,
+        notify_url: notifyUrl,
+          params: {
+            mode,
+            model,
+            prompt,
+            image_url: resolvedImageUrls[0] || null,
+            image_urls: resolvedImageUrls,
+            duration,
+            aspect_ratio,
+            size: resolvedSize,
+            remove_watermark,
+            character_id_list,
+            batchCount: normalizedBatchCount
+        }
+      };
+
+      await saveTask(task, { refreshRecent: true });
+      try {
+        await enqueueGenerationJob("video", task);
+      } catch (error) {
+        task.status = "fail";
+        task.error = `Failed to queue task: ${error.message}`;
+        await saveTask(task).catch(() => {});
+        throw error;
+      }
+      console.log(`Queued task localTaskId=${localTaskId} provider=${provider.name}`);
+      return { localTaskId, kieTaskId: null, status: task.status };
+    })
+  );
+
+  const tasks = [];
+  const errors = [];
+  settled.forEach((result, copy) => {
+    if (result.status === "fulfilled") {
+      tasks.push(result.value);
+    } else {
+      console.warn(`Failed to create copy ${copy} of video job: ${result.reason?.message}`);
+      errors.push({ copy, error: result.reason?.message || "Failed to create task" });
+    }
+  });
+  if (tasks.length === 0) {
+    throw settled[0].reason;
+  }
+
+  return { tasks, errors };
+};
+
+const createImageTask = async (
+  payload = {},
+  { baseUrl = "", retryOf = null, createdBy = null } = {}
+) => {
+  const {
+    model: rawModel,
+    prompt,
+    image_size = "1:1",
+    output_format = "png",
+    aspect_ratio = "1:1",
+    resolution = "1K",
+    image_urls,
+    image_input
+  } = payload;
+
+  if (!prompt || !String(prompt).trim()) {
+    throw new ApiError(400, "Missing prompt");
+  }
+
+  const provider = getProvider();
+  const catalog = provider.listModels();
+  const model = (rawModel || catalog.defaults.image).trim();
+  if (!catalog.image.includes(model)) {
+    throw new ApiError(400, "Invalid model");
+  }
+
+  const { priority, runAt } = normalizeJobSchedule(payload);
+  const notifyUrl = normalizeNotifyUrl(payload.notify_url);
+  const normalizedOutputFormat = String(output_format).trim().toLowerCase();
+  const input = provider.buildImageInput({
+    model,
+    prompt: String(prompt).trim(),
+    imageSize: image_size,
+    outputFormat: normalizedOutputFormat,
+    aspectRatio: aspect_ratio,
+    resolution,
+    imageUrls: resolveImageUrls(null, image_urls, baseUrl),
+    imageInputs: resolveImageUrls(null, image_input, baseUrl)
+  });
+
+  const callbackToken = createCallbackToken();
+  const localTaskId = `image_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const createdAt = new Date().toISOString();
+  const task = {
+    localTaskId,
+    createdAt,
+    prompt: String(prompt).trim(),
+    status: "pending",
+    progress: 0,
+    image_url: null,
+    origin_image_url: null,
+    error: null,
+    priority,
+    run_at: runAt,
+    provider: provider.name,
+    kieTaskId: null,
+    callbackToken,
+    providerRequest: {
+      model,
+      input,
+      callbackUrl: buildCallbackUrl(provider, baseUrl, callbackToken)
+    },
+    attempts: [],
+    retryOf,
+    createdBy,
+    notify_url: notifyUrl,
+    params: {
+      prompt: String(prompt).trim(),
+      image_size,
+      output_format: normalizedOutputFormat,
+      aspect_ratio,
+      resolution,
+      model,
+      image_urls: Array.isArray(image_urls) ? image_urls : [],
+      image_input: Array.isArray(image_input) ? image_input : []
+    }
+  };
+
+  await saveImageTask(task, { refreshRecent: true });
+  try {
+    await enqueueGenerationJob("image", task);
+  } catch (error) {
+    task.status = "fail";
+    task.error = `Failed to queue task: ${error.message}`;
+    await saveImageTask(task).catch(() => {});
+    throw error;
+  }
+  console.log(`Queued image task localTaskId=${localTaskId} provider=${provider.name}`);
+
+  return { task: toPublicTask(task) };
 };
-const videoQualityOptions = new Set(["standard", "high"]);
-const videoDefaultQuality = {
-  t2v: "high",
-  i2v: "standard"
+
+const terminalTaskStatuses = new Set(["success", "fail", "cancelled"]);
+
+const retryOverrideFields = {
+  video: [
+    "model",
+    "prompt",
+    "image_url",
+    "image_urls",
+    "duration",
+    "aspect_ratio",
+    "size",
+    "character_id_list",
+    "priority",
+    "run_at",
+    "notify_url"
+  ],
+  image: [
+    "model",
+    "prompt",
+    "image_size",
+    "output_format",
+    "aspect_ratio",
+    "resolution",
+    "image_urls",
+    "image_input",
+    "priority",
+    "run_at",
+    "notify_url"
+  ]
 };
 
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: async (req, file, cb) => {
-      try {
-        await ensureUploadsDir();
-        cb(null, UPLOADS_DIR);
-      } catch (error) {
-        cb(error);
+// Rebuilds the create payload from the parameters stored on a finished task;
+// only the whitelisted fields of `overrides` replace the stored values.
+const buildRetryJob = (kind, parent, overrides = {}) => {
+  if (!parent.params) {
+    throw new ApiError(409, "Task has no stored parameters");
+  }
+  if (!terminalTaskStatuses.has(parent.status)) {
+    throw new ApiError(409, "Task is still in progress");
+  }
+  const job = { ...parent.params, notify_url: parent.notify_url || undefined };
+  retryOverrideFields[kind].forEach((field) => {
+    if (overrides[field] !== undefined) {
+      job[field] = overrides[field];
+    }
+  });
+  if (kind === "video") {
+    if (parent.templateId && overrides.prompt === undefined) {
+      job.template_id = parent.templateId;
+      job.template_vars = parent.templateVars;
+    }
+    if (overrides.image_url !== undefined && overrides.image_urls === undefined) {
+      delete job.image_urls;
+    }
+    if (overrides.model !== undefined && overrides.size === undefined) {
+      delete job.size;
+    }
+    job.batchCount = 1;
+  }
+  return job;
+};
+
+const taskKinds = {
+  video: {
+    recentKey,
+    taskKey,
+    mapKey,
+    getTask,
+    saveTask,
+    applyUpdate: applyVideoTaskUpdate
+  },
+  image: {
+    recentKey: imageRecentKey,
+    taskKey: imageTaskKey,
+    mapKey: imageMapKey,
+    getTask: getImageTask,
+    saveTask: saveImageTask,
+    applyUpdate: applyImageTaskUpdate
+  }
+};
+
+// Submissions are stored as "pending" tasks and dispatched to the provider from
+// the Redis queues below. Members are "<kind>:<localTaskId>". The schedule
+// (generationQueueKey) is scored by the time a job becomes due: its run_at, a
+// retry backoff, or the lease of a claimed job. Due jobs move to the ready set,
+// scored by priority and then submission time, which is the dispatch order.
+// The in-flight set holds every dispatched task that has not reached a
+// terminal status and is what GENERATION_MAX_IN_FLIGHT is measured against
+// across all instances.
+const getGenerationReadyScore = (task) =>
+  (generationPriorities[task.priority] ?? generationPriorities.normal) * 1e13 +
+  (Number(new Date(task.createdAt)) || Date.now());
+
+const enqueueGenerationJob = async (kind, task) => {
+  const member = `${kind}:${task.localTaskId}`;
+  const runAt = Number(new Date(task.run_at)) || 0;
+  if (runAt > Date.now()) {
+    await redisClient.zAdd(generationQueueKey, [{ score: runAt, value: member }]);
+    return;
+  }
+  await redisClient.zAdd(generationReadyKey, [
+    { score: getGenerationReadyScore(task), value: member }
+  ]);
+  void processGenerationQueue();
+};
+
+const removeGenerationJob = async (kind, localTaskId) => {
+  const member = `${kind}:${localTaskId}`;
+  const multi = redisClient.multi();
+  multi.zRem(generationQueueKey, member);
+  multi.zRem(generationReadyKey, member);
+  multi.sRem(generationInFlightKey, member);
+  await multi.exec();
+};
+
+const promoteDueGenerationJobs = async (now) => {
+  const members = await redisClient.zRangeByScore(generationQueueKey, 0, now, {
+    LIMIT: { offset: 0, count: 200 }
+  });
+  for (const member of members) {
+    const { kind, localTaskId } = parseQueueMember(member);
+    const task = await taskKinds[kind]?.getTask(localTaskId);
+    const multi = redisClient.multi();
+    multi.zRem(generationQueueKey, member);
+    if (task?.status === "pending") {
+      multi.zAdd(generationReadyKey, [{ score: getGenerationReadyScore(task), value: member }]);
+    }
+    await multi.exec();
+  }
+};
+
+// 1-based positions in the ready set for pending tasks; deferred (run_at) and
+// retrying jobs are not ranked yet and get null.
+const addQueuePositions = async (kind, tasks) => {
+  const pendingTasks = tasks.filter((task) => task.status === "pending");
+  if (pendingTasks.length === 0) {
+    return;
+  }
+  const multi = redisClient.multi();
+  pendingTasks.forEach((task) => {
+    multi.zRank(generationReadyKey, `${kind}:${task.localTaskId}`);
+  });
+  const ranks = await multi.exec();
+  pendingTasks.forEach((task, index) => {
+    task.queue_position = ranks[index] === null ? null : Number(ranks[index]) + 1;
+  });
+};
+
+// Drops in-flight entries whose task finished or expired without passing
+// through applyUpdate (lost callbacks, deleted records).
+const pruneGenerationInFlight = async () => {
+  const members = await redisClient.sMembers(generationInFlightKey);
+  for (const member of members) {
+    const { kind, localTaskId } = parseQueueMember(member);
+    const task = await taskKinds[kind]?.getTask(localTaskId);
+    if (!task || terminalTaskStatuses.has(task.status)) {
+      await redisClient.sRem(generationInFlightKey, member);
+    }
+  }
+};
+
+// Deletes a lock only while it still holds `token`: a holder that overran the
+// lock's expiry must not release the lock another instance has taken since.
+const releaseLockScript =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0';
+
+const releaseLock = (key, token) =>
+  redisClient.eval(releaseLockScript, { keys: [key], arguments: [token] });
+
+// Claims the highest-priority ready jobs, as many as the in-flight limit and
+// the per-minute rate allow. Claimed jobs go back on the schedule with the
+// lease as their score, so a job whose instance dies mid-dispatch becomes due
+// again.
+const claimGenerationJobs = async () => {
+  const lockToken = `${process.pid}:${crypto.randomUUID()}`;
+  const acquired = await redisClient.set(generationLockKey, lockToken, {
+    NX: true,
+    PX: 10 * 1000
+  });
+  if (!acquired) {
+    return [];
+  }
+  try {
+    const now = Date.now();
+    await promoteDueGenerationJobs(now);
+    let capacity = GENERATION_MAX_IN_FLIGHT - (await redisClient.sCard(generationInFlightKey));
+    if (capacity <= 0) {
+      await pruneGenerationInFlight();
+      capacity = GENERATION_MAX_IN_FLIGHT - (await redisClient.sCard(generationInFlightKey));
+    }
+    const rateKey = generationRateKey(Math.floor(now / 60000));
+    if (GENERATION_RATE_PER_MINUTE > 0) {
+      const used = Number(await redisClient.get(rateKey)) || 0;
+      capacity = Math.min(capacity, GENERATION_RATE_PER_MINUTE - used);
+    }
+    if (capacity <= 0) {
+      return [];
+    }
+    const members = await redisClient.zRange(generationReadyKey, 0, capacity - 1);
+    if (members.length === 0) {
+      return [];
+    }
+    const multi = redisClient.multi();
+    members.forEach((member) => {
+      multi.zRem(generationReadyKey, member);
+      multi.zAdd(generationQueueKey, [{ score: now + GENERATION_LEASE_MS, value: member }]);
+      multi.sAdd(generationInFlightKey, member);
+    });
+    if (GENERATION_RATE_PER_MINUTE > 0) {
+      multi.incrBy(rateKey, members.length);
+      multi.expire(rateKey, 120);
+    }
+    await multi.exec();
+    return members;
+  } finally {
+    await releaseLock(generationLockKey, lockToken);
+  }
+};
+
+const dispatchGenerationJob = async (member) => {
+  const { kind, localTaskId } = parseQueueMember(member);
+  const config = taskKinds[kind];
+  const task = config ? await config.getTask(localTaskId) : null;
+  if (!task || task.status !== "pending" || !task.providerRequest) {
+    await redisClient.zRem(generationQueueKey, member);
+    if (!task || terminalTaskStatuses.has(task.status)) {
+      await redisClient.sRem(generationInFlightKey, member);
+    }
+    return;
+  }
+
+  const provider = getTaskProvider(task);
+  let submitted;
+  try {
+    submitted = await createProviderTask(provider, task.providerRequest);
+  } catch (error) {
+    const latest = await config.getTask(localTaskId);
+    if (latest?.status !== "pending") {
+      await removeGenerationJob(kind, localTaskId);
+      return;
+    }
+    appendTaskAttempts(latest, error.attempts || []);
+    latest.dispatch_attempts = (Number(latest.dispatch_attempts) || 0) + 1;
+    const retry = error.retryable && latest.dispatch_attempts < GENERATION_MAX_DISPATCH_ATTEMPTS;
+    console.warn(
+      `Failed to dispatch ${kind} task ${localTaskId} (attempt ${latest.dispatch_attempts}): ${error.message}`
+    );
+    if (!retry) {
+      latest.status = "fail";
+      latest.error = error.message || "Failed to create provider task";
+    }
+    await config.saveTask(latest);
+    if (!retry) {
+      await enqueueTaskWebhooks(kind, latest, "task.fail");
+    }
+    if (retry) {
+      // Give the slot back while waiting so other jobs can use it.
+      await redisClient.sRem(generationInFlightKey, member);
+      await redisClient.zAdd(generationQueueKey, [
+        { score: Date.now() + PROVIDER_RETRY_MAX_MS * latest.dispatch_attempts, value: member }
+      ]);
+    } else {
+      await removeGenerationJob(kind, localTaskId);
+    }
+    return;
+  }
+
+  const { providerTaskId, attempts } = submitted;
+  // Map the provider task before anything else can fail, so that even if the
+  // task record is never updated its callback still finds the local task and
+  // adopts it (see adoptProviderTask) instead of being dropped.
+  await redisClient
+    .set(config.mapKey(providerTaskId), localTaskId, { EX: TASK_TTL_SECONDS })
+    .catch((error) => {
+      console.warn(`Failed to map kieTaskId=${providerTaskId} for ${member}: ${error.message}`);
+    });
+  const latest = await config.getTask(localTaskId);
+  if (latest?.status !== "pending") {
+    if (latest?.status === "cancelled" && typeof provider.cancelTask === "function") {
+      await provider.cancelTask(providerTaskId).catch(() => {});
+    }
+    await removeGenerationJob(kind, localTaskId);
+    return;
+  }
+  appendTaskAttempts(latest, attempts);
+  latest.kieTaskId = providerTaskId;
+  latest.status = "queued";
+  latest.submittedAt = new Date().toISOString();
+  await config.saveTask(latest);
+  await redisClient.zRem(generationQueueKey, member);
+  console.log(
+    `Dispatched ${kind} task localTaskId=${localTaskId} provider=${provider.name} kieTaskId=${providerTaskId}`
+  );
+};
+
+let generationQueueRunning = false;
+
+// Dispatches run detached: the in-flight limit already bounds them, and a
+// slow provider call must not hold up claiming for other instances' slots.
+const processGenerationQueue = async () => {
+  if (generationQueueRunning) {
+    return;
+  }
+  generationQueueRunning = true;
+  try {
+    const members = await claimGenerationJobs();
+    members.forEach((member) => {
+      dispatchGenerationJob(member).catch((error) => {
+        console.warn(`Generation queue error for ${member}: ${error.message}`);
+      });
+    });
+  } catch (error) {
+    console.warn(`Failed to process generation queue: ${error.message}`);
+  } finally {
+    generationQueueRunning = false;
+  }
+};
+
+const isTaskStale = (task, now = Date.now()) => {
+  const lastSeenAt = Number(new Date(task.lastSyncedAt || task.createdAt)) || 0;
+  return now - lastSeenAt >= RECONCILE_STALE_MS;
+};
+
+const needsProviderSync = (task) =>
+  Boolean(task?.kieTaskId) && !terminalTaskStatuses.has(task.status);
+
+// Asks the provider for the current state of a task and applies it through the
+// same path the callback handler uses. The task is re-read after the provider
+// responds so a callback that landed in the meantime is not overwritten.
+const refreshTaskFromProvider = async (kind, localTaskId) => {
+  const config = taskKinds[kind];
+  const task = await config.getTask(localTaskId);
+  if (!needsProviderSync(task)) {
+    return task;
+  }
+  const update = await getTaskProvider(task).queryTask(task.kieTaskId);
+  const latest = await config.getTask(localTaskId);
+  if (!needsProviderSync(latest)) {
+    return latest;
+  }
+  latest.lastSyncedAt = new Date().toISOString();
+  await config.applyUpdate(latest, update);
+  return latest;
+};
+
+const reconcileTasks = async () => {
+  try {
+    const acquired = await redisClient.set(reconcileLockKey, String(process.pid), {
+      NX: true,
+      PX: RECONCILE_INTERVAL_MS
+    });
+    if (!acquired) {
+      return;
+    }
+    for (const [kind, config] of Object.entries(taskKinds)) {
+      const ids = await redisClient.zRange(config.recentKey, 0, RECONCILE_BATCH_SIZE - 1, {
+        REV: true
+      });
+      if (ids.length === 0) {
+        continue;
+      }
+      const rawTasks = await redisClient.mGet(ids.map((id) => config.taskKey(id)));
+      const staleTasks = rawTasks
+        .map(parseTask)
+        .filter((task) => needsProviderSync(task) && isTaskStale(task));
+      for (const task of staleTasks) {
+        try {
+          const refreshed = await refreshTaskFromProvider(kind, task.localTaskId);
+          if (refreshed?.status !== task.status) {
+            console.log(
+              `Reconciled ${kind} task localTaskId=${task.localTaskId} ${task.status} -> ${refreshed?.status}`
+            );
+          }
+        } catch (error) {
+          console.warn(`Failed to reconcile ${kind} task ${task.localTaskId}: ${error.message}`);
+        }
       }
-    },
-    filename: (req, file, cb) => {
-      const timestamp = Date.now();
-      const ext = file.originalname ? path.extname(file.originalname) : "";
-      const base = file.originalname ? path.basename(file.originalname, ext) : "upload";
-      const safeBase = base.replace(/[^a-z0-9-_]/gi, "_");
-      cb(null, `${timestamp}-${safeBase}${ext}`);
     }
-  })
+  } catch (error) {
+    console.warn(`Failed to reconcile tasks: ${error.message}`);
+  }
+};
+
+const getTaskForStatus = async (kind, localTaskId, { forceRefresh = false } = {}) => {
+  const task = await taskKinds[kind].getTask(localTaskId);
+  if (!needsProviderSync(task) || (!forceRefresh && !isTaskStale(task))) {
+    return task;
+  }
+  try {
+    return await refreshTaskFromProvider(kind, localTaskId);
+  } catch (error) {
+    console.warn(`Failed to refresh ${kind} task ${localTaskId}: ${error.message}`);
+    return task;
+  }
+};
+
+// The local record is marked cancelled even when the provider has no cancel
+// API or refuses the request; later callbacks for it are then ignored.
+const cancelTask = async (kind, localTaskId, user) => {
+  const config = taskKinds[kind];
+  const task = await config.getTask(localTaskId);
+  if (!task) {
+    throw new ApiError(404, "Task not found");
+  }
+  assertTaskAccess(user, task);
+  if (terminalTaskStatuses.has(task.status)) {
+    throw new ApiError(409, `Task is already ${task.status}`);
+  }
+  const provider = getTaskProvider(task);
+  let providerCancelled = false;
+  if (task.kieTaskId && typeof provider.cancelTask === "function") {
+    try {
+      await provider.cancelTask(task.kieTaskId);
+      providerCancelled = true;
+    } catch (error) {
+      console.warn(`Provider cancel failed for ${kind} task ${localTaskId}: ${error.message}`);
+    }
+  }
+  const latest = (await config.getTask(localTaskId)) || task;
+  if (terminalTaskStatuses.has(latest.status)) {
+    throw new ApiError(409, `Task is already ${latest.status}`);
+  }
+  latest.status = "cancelled";
+  latest.cancelledAt = new Date().toISOString();
+  latest.error = null;
+  await config.saveTask(latest);
+  await removeGenerationJob(kind, localTaskId);
+  console.log(
+    `Cancelled ${kind} task localTaskId=${localTaskId} provider=${provider.name} providerCancelled=${providerCancelled}`
+  );
+  return { task: latest, providerCancelled };
+};
+
+// APP_TOKEN keeps working for existing scripts and acts as an admin that is
+// not a user account, so tasks it creates have no creator.
+const appTokenUser = { userId: null, username: "APP_TOKEN", role: "admin" };
+
+const resolveRequestUser = async (token) => {
+  if (!token) {
+    return null;
+  }
+  if (APP_TOKEN && safeEqual(token, APP_TOKEN)) {
+    return appTokenUser;
+  }
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const apiKey = await findApiKeyByToken(token);
+    const owner = isApiKeyActive(apiKey) ? await getUser(apiKey.userId) : null;
+    if (!owner || owner.disabled) {
+      return null;
+    }
+    await touchApiKey(apiKey);
+    return {
+      userId: owner.userId,
+      username: owner.username,
+      role: owner.role,
+      mustChangePassword: Boolean(owner.mustChangePassword),
+      apiKeyId: apiKey.keyId,
+      apiKeyName: apiKey.name,
+      apiKeyScopes: apiKey.scopes
+    };
+  }
+  const session = parseTask(await redisClient.get(sessionKey(getSessionId(token))));
+  const user = session ? await getUser(session.userId) : null;
+  if (!user || user.disabled) {
+    return null;
+  }
+  await touchSession(session);
+  return {
+    userId: user.userId,
+    username: user.username,
+    role: user.role,
+    mustChangePassword: Boolean(user.mustChangePassword),
+    sessionId: session.sessionId
+  };
+};
+
+// Reads need any signed-in user, changes need a creator and the admin area
+// (including the orphan log) needs an admin. Users manage their own account
+// whatever their role.
+const getRequiredRole = (req) => {
+  if (req.path.startsWith("/api/admin/") || req.path.startsWith("/api/orphans")) {
+    return "admin";
+  }
+  if (
+    ["GET", "HEAD"].includes(req.method) ||
+    req.path === "/api/logout" ||
+    req.path.startsWith("/api/account")
+  ) {
+    return "viewer";
+  }
+  return "creator";
+};
+
+const getTaskCreator = (req) => {
+  if (!req.user?.userId) {
+    return null;
+  }
+  const creator = { userId: req.user.userId, username: req.user.username };
+  if (req.user.apiKeyId) {
+    creator.apiKeyId = req.user.apiKeyId;
+    creator.apiKeyName = req.user.apiKeyName;
+  }
+  return creator;
+};
+
+// Long-lived requests (the event stream) re-check that the session or API key
+// they were authenticated with has not been revoked since. Disabling a user
+// revokes their sessions but not their keys, so keys also check the owner.
+const isRequestUserActive = async (user) => {
+  if (user.sessionId) {
+    return Boolean(await redisClient.exists(sessionKey(user.sessionId)));
+  }
+  if (user.apiKeyId) {
+    const apiKey = await getApiKey(user.apiKeyId);
+    if (!isApiKeyActive(apiKey)) {
+      return false;
+    }
+    const owner = await getUser(apiKey.userId);
+    return Boolean(owner && !owner.disabled);
+  }
+  return true;
+};
+
+// Creators may only change their own tasks; admins may change any task.
+const canChangeTask = (user, task) =>
+  user?.role === "admin" || Boolean(user?.userId && task.createdBy?.userId === user.userId);
+
+const assertTaskAccess = (user, task) => {
+  if (!canChangeTask(user, task)) {
+    throw new ApiError(403, "You can only change your own tasks");
+  }
+};
+
+app.use(async (req, res, next) => {
+  if (!req.path.startsWith("/api")) {
+    return next();
+  }
+
+  if (
+    req.path === "/api/callback" ||
+    req.path.startsWith("/api/callback/") ||
+    req.path === "/api/login" ||
+    req.path.startsWith("/api/uploads") ||
+    req.path.startsWith(MOCK_ASSETS_PATH)
+  ) {
+    return next();
+  }
+
+  try {
+    const user = await resolveRequestUser(req.header("X-APP-TOKEN"));
+    if (!user) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (userRoleRanks[user.role] < userRoleRanks[getRequiredRole(req)]) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    if (user.apiKeyId && !isApiKeyRequestAllowed(req, user.apiKeyScopes)) {
+      return res.status(403).json({ error: "API key scope does not allow this request" });
+    }
+    // Until the default password is replaced, the session can only be used
+    // to change it (or to log out).
+    if (
+      user.mustChangePassword &&
+      req.path !== "/api/logout" &&
+      !req.path.startsWith("/api/account")
+    ) {
+      return res.status(403).json({
+        error: "Password change required",
+        code: "password_change_required"
+      });
+    }
+    req.user = user;
+    return next();
+  } catch (error) {
+    console.warn(`Failed to authenticate request: ${error.message}`);
+    return res.status(500).json({ error: "Failed to authenticate request" });
+  }
 });
 
-class ApiError extends Error {
-  constructor(statusCode, message) {
-    super(message);
-    this.statusCode = statusCode;
+// Failed logins are counted per client IP and per username. Once a counter
+// reaches its limit every further failure locks that key, for twice as long
+// as the previous lock. Username locks stop at LOGIN_USER_LOCK_MAX_MS, so
+// guessing from many IPs slows an account down without shutting its owner
+// (or the last admin) out for long. A successful login only clears the
+// username counter, so an attacker cannot reset their IP counter by signing
+// in to their own account.
+const getLoginKeys = (req, username) => [
+  { scope: "ip", id: req.ip, maxFailures: LOGIN_IP_MAX_FAILURES, maxLockMs: LOGIN_LOCK_MAX_MS },
+  {
+    scope: "user",
+    id: String(username).trim().toLowerCase(),
+    maxFailures: LOGIN_MAX_FAILURES,
+    maxLockMs: Math.min(LOGIN_USER_LOCK_MAX_MS, LOGIN_LOCK_MAX_MS)
   }
-}
+];
 
-const resolveImageUrls = (image_url, image_urls, baseUrl) => {
-  if (Array.isArray(image_urls)) {
-    return image_urls.filter(Boolean).map((url) => ensureAbsoluteUrl(url, baseUrl));
-  }
-  if (image_url) {
-    return [ensureAbsoluteUrl(image_url, baseUrl)];
+const getLoginLockMs = async (loginKeys) => {
+  const ttls = await Promise.all(
+    loginKeys.map(({ scope, id }) => redisClient.pTTL(loginLockKey(scope, id)))
+  );
+  return Math.max(0, ...ttls);
+};
+
+const recordLoginFailure = async (loginKeys) => {
+  for (const { scope, id, maxFailures, maxLockMs } of loginKeys) {
+    const failuresKey = loginFailuresKey(scope, id);
+    const failures = await redisClient.incr(failuresKey);
+    await redisClient.expire(failuresKey, LOGIN_FAILURE_TTL_SECONDS);
+    if (failures >= maxFailures) {
+      const lockMs = Math.min(
+        LOGIN_LOCK_BASE_MS * 2 ** (failures - maxFailures),
+        maxLockMs
+      );
+      await redisClient.set(loginLockKey(scope, id), String(failures), { PX: lockMs });
+      console.warn(`Locked login for ${scope} ${id} for ${lockMs}ms after ${failures} failures`);
+    }
   }
-  return [];
 };
 
-const kieClient = {
-  async createTask(payload) {
-    const response = await fetch(`${KIE_BASE_URL}/api/v1/jobs/createTask`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${KIE_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(payload)
-    });
+const sendLoginLocked = (res, lockMs) => {
+  res.set("Retry-After", String(Math.ceil(lockMs / 1000)));
+  return res.status(429).json({
+    success: false,
+    error: "Too many failed login attempts",
+    retryAfterSeconds: Math.ceil(lockMs / 1000)
+  });
+};
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new ApiError(502, `Kie API error: ${errorText}`);
+app.post("/api/login", limiter, async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+  try {
+    const loginKeys = getLoginKeys(req, username);
+    const lockMs = await getLoginLockMs(loginKeys);
+    if (lockMs > 0) {
+      return sendLoginLocked(res, lockMs);
     }
-
-    const data = await response.json();
-    if (data?.code !== 200 || !data?.data?.taskId) {
-      throw new ApiError(502, data?.msg || "Kie API error");
+    const user = await getUserByName(username);
+    const valid = await checkUserPassword(user, password);
+    if (!valid || user.disabled) {
+      await recordLoginFailure(loginKeys);
+      return res.status(401).json({ success: false, error: "Unauthorized" });
     }
+    await redisClient.del(loginFailuresKey("user", loginKeys[1].id));
+    const { token, session } = await createSession(user, req);
+    return res.json({
+      success: true,
+      token,
+      expiresAt: session.expiresAt,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.warn(`Failed to log in: ${error.message}`);
+    return res.status(500).json({ success: false, error: "Failed to log in" });
+  }
+});
 
-    return data.data.taskId;
+app.post("/api/logout", async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSessions([req.user.sessionId]);
+    }
+    return res.json({ success: true });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to log out" });
   }
-};
+});
 
-const createOne = async (job = {}, { baseUrl = "" } = {}) => {
-  const {
-    mode,
-    model: requestedModel,
-    prompt,
-    image_url,
-    image_urls,
-    duration = 5,
-    aspect_ratio = "16:9",
-    size,
-    character_id_list,
-    batchCount = 1
-  } = job;
-  const remove_watermark = true;
+app.get("/api/account", (req, res) => {
+  return res.json(req.user);
+});
 
-  if (!mode || !prompt) {
-    throw new ApiError(400, "Missing required fields");
+app.post("/api/account", async (req, res) => {
+  try {
+    const user = req.user.userId ? await getUser(req.user.userId) : null;
+    if (!user) {
+      return res.status(400).json({ error: "APP_TOKEN is not a user account" });
+    }
+    const { currentPassword, username, password } = req.body || {};
+    if (!currentPassword) {
+      return res.status(400).json({ error: "currentPassword is required" });
+    }
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    const nextUsername = (username ?? "").trim();
+    const nextPassword = (password ?? "").trim();
+    if (!nextUsername && !nextPassword) {
+      return res.status(400).json({ error: "username or password is required" });
+    }
+    const previousUsername = user.username;
+    if (nextUsername) {
+      user.username = normalizeUsername(nextUsername);
+      await assertUsernameAvailable(user.username, user.userId);
+    }
+    if (nextPassword) {
+      if (nextPassword === currentPassword || isDefaultCredentials(user.username, nextPassword)) {
+        return res.status(400).json({ error: "Choose a new password" });
+      }
+      user.passwordHash = await hashPassword(nextPassword);
+      user.mustChangePassword = false;
+    }
+    if (user.mustChangePassword) {
+      return res.status(400).json({ error: "A new password is required" });
+    }
+    await saveUser(user, previousUsername);
+    if (nextPassword) {
+      await revokeUserSessions(user.userId, { except: req.user.sessionId });
+    }
+    return res.json({ success: true, ...toPublicUser(user) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to update account" });
   }
+});
 
-  if (!["t2v", "i2v"].includes(mode)) {
-    throw new ApiError(400, "Invalid mode");
+app.get("/api/account/sessions", async (req, res) => {
+  try {
+    const sessions = (await getSessions()).filter(
+      (session) => req.user.userId && session.userId === req.user.userId
+    );
+    return res.json({
+      sessions: sessions.map((session) =>
+        toPublicSession(session, req.user.username, req.user.sessionId)
+      )
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load sessions" });
   }
+});
 
-  const resolvedImageUrls = resolveImageUrls(image_url, image_urls, baseUrl);
+app.post("/api/account/logout_all", async (req, res) => {
+  try {
+    if (!req.user.userId) {
+      return res.status(400).json({ error: "APP_TOKEN is not a user account" });
+    }
+    const revoked = await revokeUserSessions(req.user.userId);
+    return res.json({ success: true, revoked });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to revoke sessions" });
+  }
+});
 
-  if (mode === "i2v" && resolvedImageUrls.length === 0) {
-    throw new ApiError(400, "image_url or image_urls is required for i2v");
+app.get("/api/admin/users", async (req, res) => {
+  try {
+    const users = await getUsers();
+    return res.json({ users: users.map(toPublicUser), roles: Object.keys(userRoleRanks) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load users" });
   }
+});
 
-  const resolvedAspectRatio = aspectRatioMap[aspect_ratio];
-  if (!resolvedAspectRatio) {
-    throw new ApiError(400, "Invalid aspect_ratio");
+app.post("/api/admin/users", async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    return res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to create user" });
   }
+});
 
-  const resolvedFrames = frameMap[Number(duration)];
-  if (!resolvedFrames) {
-    throw new ApiError(400, "Invalid duration");
+// Admins cannot lock themselves out: the last enabled admin can be neither
+// demoted, disabled nor deleted.
+app.put("/api/admin/users/:id", async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const { username, password, role, disabled } = req.body || {};
+    const previousUsername = user.username;
+    if (username !== undefined) {
+      user.username = normalizeUsername(username);
+      await assertUsernameAvailable(user.username, user.userId);
+    }
+    if (password !== undefined) {
+      if (!String(password).trim()) {
+        return res.status(400).json({ error: "password must not be empty" });
+      }
+      const nextPassword = String(password).trim();
+      user.passwordHash = await hashPassword(nextPassword);
+      user.mustChangePassword = isDefaultCredentials(user.username, nextPassword);
+    }
+    if (role !== undefined) {
+      user.role = normalizeUserRole(role);
+    }
+    if (disabled !== undefined) {
+      user.disabled = Boolean(disabled);
+    }
+    const losesAdmin = user.role !== "admin" || user.disabled;
+    if (losesAdmin && (await countOtherActiveAdmins(user.userId)) === 0) {
+      return res.status(409).json({ error: "At least one enabled admin is required" });
+    }
+    await saveUser(user, previousUsername);
+    if (password !== undefined || user.disabled) {
+      await revokeUserSessions(user.userId);
+    }
+    return res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to update user" });
   }
+});
 
-  const t2vModel = process.env.KIE_T2V_MODEL || "sora-2-text-to-video";
-  const i2vModel = process.env.KIE_I2V_MODEL || "sora-2-image-to-video";
-  const model = (requestedModel || (mode === "i2v" ? i2vModel : t2vModel)).trim();
+app.delete("/api/admin/users/:id", async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.userId === req.user.userId) {
+      return res.status(409).json({ error: "You cannot delete your own account" });
+    }
+    if (user.role === "admin" && (await countOtherActiveAdmins(user.userId)) === 0) {
+      return res.status(409).json({ error: "At least one enabled admin is required" });
+    }
+    const multi = redisClient.multi();
+    multi.hDel(usersKey, user.userId);
+    multi.hDel(usernamesKey, user.username.toLowerCase());
+    await multi.exec();
+    await revokeUserSessions(user.userId);
+    const apiKeys = await getApiKeys();
+    for (const apiKey of apiKeys.filter((item) => item.userId === user.userId)) {
+      await revokeApiKey(apiKey);
+    }
+    return res.json({ success: true, id: user.userId });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to delete user" });
+  }
+});
 
-  if (requestedModel) {
-    const allowedModels = videoModels[mode];
-    if (!allowedModels || !allowedModels.has(model)) {
-      throw new ApiError(400, "Invalid model");
+app.post("/api/admin/users/:id/logout_all", async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
     }
+    const revoked = await revokeUserSessions(user.userId);
+    return res.json({ success: true, revoked });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to revoke sessions" });
   }
+});
 
-  const normalizedBatchCount = Math.min(Math.max(Number(batchCount) || 1, 1), 20);
+app.get("/api/admin/sessions", async (req, res) => {
+  try {
+    const [sessions, users] = await Promise.all([getSessions(), getUsers()]);
+    const usernames = new Map(users.map((user) => [user.userId, user.username]));
+    const items = sessions
+      .filter((session) => usernames.has(session.userId))
+      .sort((left, right) => String(right.lastSeenAt).localeCompare(String(left.lastSeenAt)))
+      .map((session) =>
+        toPublicSession(session, usernames.get(session.userId), req.user.sessionId)
+      );
+    return res.json({ sessions: items });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load sessions" });
+  }
+});
 
-  let resolvedSize;
-  const input = {
-    prompt,
-    aspect_ratio: resolvedAspectRatio,
-    n_frames: resolvedFrames,
-    remove_watermark: true
-  };
+app.delete("/api/admin/sessions/:id", async (req, res) => {
+  try {
+    await revokeSessions([req.params.id]);
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to revoke session" });
+  }
+});
+
+app.get("/api/admin/api_keys", async (req, res) => {
+  try {
+    const [apiKeys, users] = await Promise.all([getApiKeys(), getUsers()]);
+    const usernames = new Map(users.map((user) => [user.userId, user.username]));
+    return res.json({
+      apiKeys: apiKeys.map((apiKey) =>
+        toPublicApiKey(apiKey, usernames.get(apiKey.userId) || null)
+      ),
+      scopes: Object.keys(apiKeyScopes)
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load API keys" });
+  }
+});
 
-  if (model.includes("-pro-")) {
-    const defaultQuality = videoDefaultQuality[mode] || "high";
-    resolvedSize = String(size || defaultQuality).toLowerCase();
-    if (!videoQualityOptions.has(resolvedSize)) {
-      throw new ApiError(400, "Invalid size");
+// The plaintext key is only part of this response; afterwards only its
+// prefix is shown.
+app.post("/api/admin/api_keys", async (req, res) => {
+  try {
+    const ownerId = req.body?.user_id || req.user.userId;
+    const owner = ownerId ? await getUser(ownerId) : null;
+    if (!owner) {
+      return res.status(400).json({ error: "user_id must name an existing user" });
     }
-    input.size = resolvedSize;
+    const { key, apiKey } = await createApiKey(owner, req.body || {});
+    return res.json({ key, apiKey: toPublicApiKey(apiKey, owner.username) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to create API key" });
   }
+});
 
-  if (mode === "i2v") {
-    input.image_urls = resolvedImageUrls;
+app.delete("/api/admin/api_keys/:id", async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    await revokeApiKey(apiKey);
+    return res.json({ success: true, id: apiKey.keyId });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to revoke API key" });
   }
+});
 
-  if (Array.isArray(character_id_list) && character_id_list.length > 0) {
-    input.character_id_list = character_id_list;
+const normalizeIdempotencyKey = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const key = String(value).trim();
+  if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    throw new ApiError(400, `Idempotency key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters`);
   }
+  return key;
+};
 
-  const callbackBaseUrl = baseUrl || getPublicBaseUrl();
-  const taskPayload = {
-    model,
-    callBackUrl: callbackBaseUrl ? `${callbackBaseUrl}/api/callback` : "",
-    input
-  };
+// Runs `handler` at most once per key within IDEMPOTENCY_TTL_SECONDS and
+// returns the stored result on repeats. The key is claimed with a short-lived
+// pending marker first so two concurrent retries cannot both create tasks; a
+// failed attempt releases the key so the caller can try again.
+// Key order does not change the fingerprint, so a batch job merged with the
+// batch-level defaults matches the same fields sent to /api/video/create.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
 
-  const kieTaskIds = await Promise.all(
-    Array.from({ length: normalizedBatchCount }, () => kieClient.createTask(taskPayload))
+const runIdempotent = async (scope, key, payload, handler) => {
+  if (!key) {
+    return { result: await handler(), replayed: false };
+  }
+  const redisKey = idempotencyRedisKey(scope, key);
+  const fingerprint = crypto.createHash("sha256").update(stableStringify(payload)).digest("hex");
+  const claimed = await redisClient.set(
+    redisKey,
+    JSON.stringify({ state: "pending", fingerprint }),
+    { NX: true, EX: IDEMPOTENCY_PENDING_TTL_SECONDS }
   );
+  if (!claimed) {
+    const existing = parseTask(await redisClient.get(redisKey));
+    if (existing && existing.fingerprint !== fingerprint) {
+      throw new ApiError(422, "Idempotency key was already used for a different request");
+    }
+    if (!existing || existing.state !== "done") {
+      throw new ApiError(409, "A request with this idempotency key is still in progress");
+    }
+    return { result: existing.result, replayed: true };
+  }
+  // The pending marker only outlives this process by its short TTL, so it is
+  // kept alive for as long as the handler runs, however slow that is.
+  const keepAlive = setInterval(() => {
+    redisClient.expire(redisKey, IDEMPOTENCY_PENDING_TTL_SECONDS).catch((error) => {
+      console.warn(`Failed to extend idempotency key ${redisKey}: ${error.message}`);
+    });
+  }, (IDEMPOTENCY_PENDING_TTL_SECONDS * 1000) / 3);
+  try {
+    const result = await handler();
+    clearInterval(keepAlive);
+    await redisClient.set(
+      redisKey,
+      JSON.stringify({ state: "done", fingerprint, result, createdAt: new Date().toISOString() }),
+      { EX: IDEMPOTENCY_TTL_SECONDS }
+    );
+    return { result, replayed: false };
+  } catch (error) {
+    clearInterval(keepAlive);
+    await redisClient.del(redisKey);
+    throw error;
+  }
+};
 
-  const tasks = await Promise.all(
-    kieTaskIds.map(async (kieTaskId) => {
-      const localTaskId = `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-      const createdAt = new Date().toISOString();
-      const task = {
-        localTaskId,
-        createdAt,
-        mode,
-        prompt,
-        status: "queued",
-        progress: 0,
-        video_url: null,
-        origin_video_url: null,
-        error: null,
-        kieTaskId,
-          params: {
-            mode,
-            model,
-            prompt,
-            image_url: resolvedImageUrls[0] || null,
-            image_urls: resolvedImageUrls,
-            duration,
-            aspect_ratio,
-            size: resolvedSize,
-            remove_watermark,
-            character_id_list,
-            batchCount: normalizedBatchCount
-        }
-      };
-
-      await saveTask(task, { refreshRecent: true });
-      console.log(`Created task localTaskId=${localTaskId} kieTaskId=${kieTaskId}`);
-      return { localTaskId, kieTaskId, status: task.status };
-    })
-  );
+const getIdempotencyHeader = (req) => normalizeIdempotencyKey(req.get("Idempotency-Key"));
 
-  return { tasks };
-};
+// Keys are per caller, so two users picking the same key never see each
+// other's responses.
+const getIdempotencyScope = (req, scope) => `${scope}:${req.user?.userId || "app"}`;
 
-const createImageTask = async (payload = {}, { baseUrl = "" } = {}) => {
-  const {
-    model: rawModel,
-    prompt,
-    image_size = "1:1",
-    output_format = "png",
-    aspect_ratio = "1:1",
-    resolution = "1K",
-    image_urls,
-    image_input
-  } = payload;
+app.post("/api/video/create", limiter, async (req, res) => {
+  try {
+    const baseUrl = getRequestBaseUrl(req);
+    const { result, replayed } = await runIdempotent(
+      getIdempotencyScope(req, "video"),
+      getIdempotencyHeader(req),
+      req.body,
+      async () => {
+        const { tasks, errors } = await createOne(req.body, {
+          baseUrl,
+          createdBy: getTaskCreator(req)
+        });
+        return {
+          task_ids: tasks.map((task) => task.localTaskId),
+          tasks,
+          ...(errors.length > 0 ? { errors } : {})
+        };
+      }
+    );
+    if (replayed) {
+      res.set("Idempotent-Replayed", "true");
+    }
+    return res.json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to create video task" });
+  }
+});
 
-  if (!prompt || !String(prompt).trim()) {
-    throw new ApiError(400, "Missing prompt");
+app.post("/api/image/create", limiter, async (req, res) => {
+  try {
+    const baseUrl = getRequestBaseUrl(req);
+    const { result, replayed } = await runIdempotent(
+      getIdempotencyScope(req, "image"),
+      getIdempotencyHeader(req),
+      req.body,
+      async () => {
+        const { task } = await createImageTask(req.body, {
+          baseUrl,
+          createdBy: getTaskCreator(req)
+        });
+        return {
+          task_id: task.localTaskId,
+          task
+        };
+      }
+    );
+    if (replayed) {
+      res.set("Idempotent-Replayed", "true");
+    }
+    return res.json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to create image task" });
   }
+});
 
-  const model = (rawModel || process.env.KIE_IMAGE_MODEL || "nano-banana-pro").trim();
-  if (!imageModels.has(model)) {
-    throw new ApiError(400, "Invalid model");
+app.post("/api/video/tasks/:id/retry", limiter, async (req, res) => {
+  try {
+    const parent = await getTask(req.params.id);
+    if (!parent) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    assertTaskAccess(req.user, parent);
+    const job = buildRetryJob("video", parent, req.body || {});
+    const baseUrl = getRequestBaseUrl(req);
+    const { tasks, errors } = await createOne(job, {
+      baseUrl,
+      retryOf: parent.localTaskId,
+      createdBy: getTaskCreator(req)
+    });
+    return res.json({
+      task_ids: tasks.map((task) => task.localTaskId),
+      tasks,
+      ...(errors.length > 0 ? { errors } : {}),
+      retryOf: parent.localTaskId
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to retry video task" });
   }
+});
 
-  const normalizedOutputFormat = String(output_format).trim().toLowerCase();
-  if (!imageOutputFormats.has(normalizedOutputFormat)) {
-    throw new ApiError(400, "Invalid output_format");
+app.post("/api/image/tasks/:id/retry", limiter, async (req, res) => {
+  try {
+    const parent = await getImageTask(req.params.id);
+    if (!parent) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    assertTaskAccess(req.user, parent);
+    const job = buildRetryJob("image", parent, req.body || {});
+    const baseUrl = getRequestBaseUrl(req);
+    const { task } = await createImageTask(job, {
+      baseUrl,
+      retryOf: parent.localTaskId,
+      createdBy: getTaskCreator(req)
+    });
+    return res.json({
+      task_id: task.localTaskId,
+      task,
+      retryOf: parent.localTaskId
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to retry image task" });
   }
+});
 
-  const callbackBaseUrl = baseUrl || getPublicBaseUrl();
-  const input = {
-    prompt: String(prompt).trim()
-  };
+const templatePlaceholderPattern = /\{([A-Za-z_][\w-]*)\}/g;
+const templateExpansions = new Set(["cartesian", "zip"]);
 
-  if (model === "google/nano-banana" || model === "google/nano-banana-edit") {
-    if (!imageSizeOptions.has(image_size)) {
-      throw new ApiError(400, "Invalid image_size");
-    }
-    if (!["png", "jpeg"].includes(normalizedOutputFormat)) {
-      throw new ApiError(400, "Invalid output_format");
-    }
-    input.output_format = normalizedOutputFormat;
-    input.image_size = image_size;
+const getTemplatePlaceholders = (prompt) => {
+  const matches = String(prompt || "").matchAll(templatePlaceholderPattern);
+  return [...new Set([...matches].map((match) => match[1]))];
+};
 
-    if (model === "google/nano-banana-edit") {
-      const resolvedImageUrls = resolveImageUrls(null, image_urls, baseUrl);
-      if (resolvedImageUrls.length === 0) {
-        throw new ApiError(400, "image_urls is required for nano-banana-edit");
-      }
-      input.image_urls = resolvedImageUrls;
-    }
+const normalizeTemplateVariables = (variables = {}) => {
+  if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+    throw new ApiError(400, "variables must be an object of value lists");
   }
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, values]) => [
+      name,
+      (Array.isArray(values) ? values : [values])
+        .map((value) => String(value ?? "").trim())
+        .filter(Boolean)
+    ])
+  );
+};
 
-  if (model === "nano-banana-pro") {
-    if (!imageAspectRatios.has(aspect_ratio)) {
-      throw new ApiError(400, "Invalid aspect_ratio");
-    }
-
-    if (!imageResolutions.has(resolution)) {
-      throw new ApiError(400, "Invalid resolution");
-    }
+// Expands a template into concrete prompts. "cartesian" takes every
+// combination of the placeholder values; "zip" pairs them by position and
+// needs equally long lists. Variables the prompt never references are ignored.
+const expandTemplate = ({ prompt, variables, expansion = "cartesian" }) => {
+  if (!prompt || !String(prompt).trim()) {
+    throw new ApiError(400, "Template prompt is required");
+  }
+  if (!templateExpansions.has(expansion)) {
+    throw new ApiError(400, "expansion must be cartesian or zip");
+  }
+  const normalizedVariables = normalizeTemplateVariables(variables);
+  const placeholders = getTemplatePlaceholders(prompt);
+  const missing = placeholders.filter((name) => !normalizedVariables[name]?.length);
+  if (missing.length > 0) {
+    throw new ApiError(400, `Missing values for: ${missing.join(", ")}`);
+  }
 
-    if (!["png", "jpg"].includes(normalizedOutputFormat)) {
-      throw new ApiError(400, "Invalid output_format");
+  let combinations = [{}];
+  if (expansion === "zip" && placeholders.length > 0) {
+    const lengths = new Set(placeholders.map((name) => normalizedVariables[name].length));
+    if (lengths.size > 1) {
+      throw new ApiError(400, "zip expansion needs value lists of equal length");
     }
-
-    input.aspect_ratio = aspect_ratio;
-    input.resolution = resolution;
-    input.output_format = normalizedOutputFormat;
-
-    const resolvedImageInputs = resolveImageUrls(null, image_input, baseUrl);
-    if (resolvedImageInputs.length > 0) {
-      input.image_input = resolvedImageInputs;
+    const [length] = lengths;
+    combinations = Array.from({ length }, (_, index) =>
+      Object.fromEntries(placeholders.map((name) => [name, normalizedVariables[name][index]]))
+    );
+  } else {
+    const total = placeholders.reduce((count, name) => count * normalizedVariables[name].length, 1);
+    if (total > TEMPLATE_MAX_EXPANSIONS) {
+      throw new ApiError(
+        400,
+        `Template expands to ${total} prompts (max ${TEMPLATE_MAX_EXPANSIONS})`
+      );
     }
+    placeholders.forEach((name) => {
+      combinations = combinations.flatMap((combination) =>
+        normalizedVariables[name].map((value) => ({ ...combination, [name]: value }))
+      );
+    });
+  }
+  if (combinations.length > TEMPLATE_MAX_EXPANSIONS) {
+    throw new ApiError(
+      400,
+      `Template expands to ${combinations.length} prompts (max ${TEMPLATE_MAX_EXPANSIONS})`
+    );
   }
 
-  const taskPayload = {
-    model,
-    callBackUrl: callbackBaseUrl ? `${callbackBaseUrl}/api/callback` : "",
-    input
-  };
-
-  const kieTaskId = await kieClient.createTask(taskPayload);
-  const localTaskId = `image_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-  const createdAt = new Date().toISOString();
-  const task = {
-    localTaskId,
-    createdAt,
-    prompt: String(prompt).trim(),
-    status: "queued",
-    progress: 0,
-    image_url: null,
-    origin_image_url: null,
-    error: null,
-    kieTaskId,
-    params: {
-      prompt: String(prompt).trim(),
-      image_size,
-      output_format: normalizedOutputFormat,
-      aspect_ratio,
-      resolution,
-      model,
-      image_urls: Array.isArray(image_urls) ? image_urls : [],
-      image_input: Array.isArray(image_input) ? image_input : []
-    }
-  };
+  return combinations.map((vars) => ({
+    prompt: String(prompt).replace(templatePlaceholderPattern, (match, name) =>
+      Object.hasOwn(vars, name) ? vars[name] : match
+    ),
+    vars
+  }));
+};
 
-  await saveImageTask(task, { refreshRecent: true });
-  console.log(`Created image task localTaskId=${localTaskId} kieTaskId=${kieTaskId}`);
+const getTemplate = async (templateId) => {
+  const raw = await redisClient.get(templateKey(templateId));
+  return parseTask(raw);
+};
 
-  return { task };
+const saveTemplate = async (template) => {
+  const multi = redisClient.multi();
+  multi.set(templateKey(template.templateId), JSON.stringify(template));
+  multi.zAdd(templateIndexKey, [
+    { score: Number(new Date(template.updatedAt)) || Date.now(), value: template.templateId }
+  ]);
+  await multi.exec();
 };
 
-app.use((req, res, next) => {
-  if (!req.path.startsWith("/api")) {
-    return next();
+const normalizeTemplatePayload = (payload = {}, existing = {}) => {
+  const template = {
+    ...existing,
+    name: String(payload.name ?? existing.name ?? "").trim(),
+    prompt: String(payload.prompt ?? existing.prompt ?? "").trim(),
+    variables: normalizeTemplateVariables(payload.variables ?? existing.variables ?? {}),
+    expansion: payload.expansion ?? existing.expansion ?? "cartesian"
+  };
+  if (!template.name) {
+    throw new ApiError(400, "Template name is required");
   }
+  expandTemplate(template);
+  return template;
+};
 
-  if (
-    req.path === "/api/callback" ||
-    req.path === "/api/login" ||
-    req.path.startsWith("/api/uploads")
-  ) {
-    return next();
+// A saved template (`id`) supplies defaults that the request may override, so
+// a caller can reuse a template with a different value list.
+const resolveTemplateRequest = async (request = {}) => {
+  let saved = null;
+  if (request.id) {
+    saved = await getTemplate(request.id);
+    if (!saved) {
+      throw new ApiError(404, "Template not found");
+    }
   }
+  const template = {
+    prompt: request.prompt ?? saved?.prompt,
+    variables: request.variables ?? saved?.variables,
+    expansion: request.expansion ?? saved?.expansion ?? "cartesian"
+  };
+  return { templateId: saved?.templateId || null, expansions: expandTemplate(template) };
+};
 
-  const token = req.header("X-APP-TOKEN");
-  if (!APP_TOKEN || token !== APP_TOKEN) {
-    return res.status(401).json({ error: "Unauthorized" });
+app.get("/api/templates", async (req, res) => {
+  try {
+    const ids = await redisClient.zRange(templateIndexKey, 0, -1, { REV: true });
+    if (ids.length === 0) {
+      return res.json({ templates: [] });
+    }
+    const rawTemplates = await redisClient.mGet(ids.map(templateKey));
+    return res.json({ templates: rawTemplates.map(parseTask).filter(Boolean) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load templates" });
   }
-
-  return next();
 });
 
-app.post("/api/login", (req, res) => {
-  const { username, password } = req.body || {};
-  if (username === adminUsername && password === adminPassword) {
-    return res.json({ success: true, token: APP_TOKEN });
+app.post("/api/templates", async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const template = normalizeTemplatePayload(req.body, {
+      templateId: `tpl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: now
+    });
+    template.updatedAt = now;
+    await saveTemplate(template);
+    return res.json({ template });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to save template" });
   }
-  return res.status(401).json({ success: false, error: "Unauthorized" });
 });
 
-app.get("/api/admin/account", (req, res) => {
-  return res.json({ username: adminUsername });
+app.put("/api/templates/:id", async (req, res) => {
+  try {
+    const existing = await getTemplate(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    const template = normalizeTemplatePayload(req.body, existing);
+    template.updatedAt = new Date().toISOString();
+    await saveTemplate(template);
+    return res.json({ template });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to save template" });
+  }
 });
 
-app.post("/api/admin/account", async (req, res) => {
-  const { currentPassword, username, password } = req.body || {};
-  if (!currentPassword) {
-    return res.status(400).json({ error: "currentPassword is required" });
-  }
-  if (currentPassword !== adminPassword) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  const nextUsername = (username ?? "").trim();
-  const nextPassword = (password ?? "").trim();
-  if (!nextUsername && !nextPassword) {
-    return res.status(400).json({ error: "username or password is required" });
+app.delete("/api/templates/:id", async (req, res) => {
+  try {
+    const multi = redisClient.multi();
+    multi.del(templateKey(req.params.id));
+    multi.zRem(templateIndexKey, req.params.id);
+    const [deleted] = await multi.exec();
+    if (!deleted) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to delete template" });
   }
-  const updatedUsername = nextUsername || adminUsername;
-  const updatedPassword = nextPassword || adminPassword;
-  await saveAdminCredentials({ username: updatedUsername, password: updatedPassword });
-  return res.json({ success: true, username: updatedUsername });
 });
 
-app.post("/api/video/create", limiter, async (req, res) => {
+app.post("/api/templates/preview", async (req, res) => {
   try {
-    const baseUrl = getRequestBaseUrl(req);
-    const { tasks } = await createOne(req.body, { baseUrl });
+    const { templateId, expansions } = await resolveTemplateRequest(req.body);
     return res.json({
-      task_ids: tasks.map((task) => task.localTaskId),
-      tasks
+      template_id: templateId,
+      count: expansions.length,
+      prompts: expansions
     });
   } catch (error) {
     const statusCode = error.statusCode || 500;
-    return res.status(statusCode).json({ error: error.message || "Failed to create video task" });
+    return res.status(statusCode).json({ error: error.message || "Failed to expand template" });
   }
 });
 
-app.post("/api/image/create", limiter, async (req, res) => {
+app.post("/api/video/batch_create", limiter, async (req, res) => {
+  let requestKey;
   try {
-    const baseUrl = getRequestBaseUrl(req);
-    const { task } = await createImageTask(req.body, { baseUrl });
-    return res.json({
-      task_id: task.localTaskId,
-      task
-    });
+    requestKey = getIdempotencyHeader(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  try {
+    const { result, replayed } = await runIdempotent(
+      getIdempotencyScope(req, "batch"),
+      requestKey,
+      req.body,
+      () => createBatch(req)
+    );
+    if (replayed) {
+      res.set("Idempotent-Replayed", "true");
+    }
+    return res.json(result);
   } catch (error) {
     const statusCode = error.statusCode || 500;
-    return res.status(statusCode).json({ error: error.message || "Failed to create image task" });
+    return res.status(statusCode).json({ error: error.message || "Failed to create batch" });
   }
 });
 
-app.post("/api/video/batch_create", limiter, async (req, res) => {
-  const { concurrency, jobs } = req.body || {};
+const createBatch = async (req) => {
+  const { concurrency, priority, run_at, notify_url, template, job: baseJob } = req.body || {};
+  let { jobs } = req.body || {};
+  let templateId = null;
+
+  if (template) {
+    const resolved = await resolveTemplateRequest(template);
+    templateId = resolved.templateId;
+    jobs = resolved.expansions.map(({ prompt, vars }) => ({
+      ...baseJob,
+      prompt,
+      template_id: templateId,
+      template_vars: vars
+    }));
+  }
 
   if (!Array.isArray(jobs)) {
-    return res.status(400).json({ error: "jobs must be an array" });
+    throw new ApiError(400, "jobs must be an array");
   }
 
   const normalizedConcurrency = Math.min(Math.max(Number(concurrency) || 10, 1), 30);
   const limit = pLimit(normalizedConcurrency);
   const baseUrl = getRequestBaseUrl(req);
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const createdAt = new Date().toISOString();
+  const createdBy = getTaskCreator(req);
 
   const results = await Promise.all(
     jobs.map((job, index) =>
       limit(async () => {
         try {
-          const { tasks } = await createOne(job, { baseUrl });
+          const { idempotency_key: rawJobKey, ...jobFields } = job || {};
+          const mergedJob = { priority, run_at, notify_url, ...jobFields };
+          // Per-job keys share the "video" scope with /api/video/create, so a
+          // job re-sent in a later batch returns the tasks created the first time.
+          // The fingerprint covers the batch-level defaults the job inherits.
+          const { result, replayed } = await runIdempotent(
+            getIdempotencyScope(req, "video"),
+            normalizeIdempotencyKey(rawJobKey),
+            mergedJob,
+            async () => {
+              const { tasks, errors } = await createOne(mergedJob, {
+                baseUrl,
+                batchId,
+                createdBy
+              });
+              return {
+                task_ids: tasks.map((task) => task.localTaskId),
+                tasks,
+                ...(errors.length > 0 ? { errors } : {})
+              };
+            }
+          );
           return {
             index,
             ok: true,
-            task_ids: tasks.map((task) => task.localTaskId),
-            tasks
+            ...(replayed ? { replayed: true } : {}),
+            ...result
           };
         } catch (error) {
           return {
@@ -823,10 +4145,333 @@ app.post("/api/video/batch_create", limiter, async (req, res) => {
     )
   );
 
-  return res.json({
+  await saveBatch({
+    batchId,
+    createdAt,
+    concurrency: normalizedConcurrency,
+    priority: priority || null,
+    run_at: run_at || null,
+    templateId,
+    createdBy,
+    jobs,
+    results: results.map(({ index, ok, task_ids: taskIds = [], error, errors = [] }) => ({
+      index,
+      ok,
+      task_ids: taskIds,
+      error: error || null,
+      copy_errors: errors
+    }))
+  });
+
+  return {
+    batch_id: batchId,
+    template_id: templateId,
     accepted: jobs.length,
     concurrency: normalizedConcurrency,
     results
+  };
+};
+
+const batchTaskStatuses = ["pending", "queued", "running", "success", "fail", "cancelled"];
+
+// Counts are derived from the member task records on every read so they can
+// never drift from the tasks themselves; expired records count as "missing".
+const loadBatchTasks = async (batch) => {
+  const taskIds = batch.results.flatMap((result) => result.task_ids);
+  const rawTasks = taskIds.length > 0 ? await redisClient.mGet(taskIds.map(taskKey)) : [];
+  const tasksById = new Map();
+  rawTasks.forEach((raw, index) => {
+    tasksById.set(taskIds[index], parseTask(raw));
+  });
+  const counts = Object.fromEntries(
+    [...batchTaskStatuses, "missing"].map((status) => [status, 0])
+  );
+  tasksById.forEach((task) => {
+    const status = task ? task.status : "missing";
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  const active = counts.pending + counts.queued + counts.running;
+  return {
+    tasksById,
+    counts,
+    total_tasks: taskIds.length,
+    status: active > 0 ? "running" : "done"
+  };
+};
+
+const toBatchSummary = (batch, { counts, total_tasks: totalTasks, status }) => ({
+  batch_id: batch.batchId,
+  createdAt: batch.createdAt,
+  priority: batch.priority || null,
+  run_at: batch.run_at || null,
+  template_id: batch.templateId || null,
+  createdBy: batch.createdBy || null,
+  total_jobs: batch.jobs.length,
+  failed_jobs: batch.results.filter((result) => !result.ok).length,
+  total_tasks: totalTasks,
+  counts,
+  status
+});
+
+app.get("/api/batches", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const ids = await redisClient.zRange(batchRecentKey, 0, limit - 1, { REV: true });
+    if (ids.length === 0) {
+      return res.json({ batches: [] });
+    }
+    const rawBatches = await redisClient.mGet(ids.map(batchKey));
+    const batches = [];
+    const missingIds = [];
+    for (const [index, raw] of rawBatches.entries()) {
+      const batch = parseTask(raw);
+      if (!batch) {
+        missingIds.push(ids[index]);
+        continue;
+      }
+      batches.push(toBatchSummary(batch, await loadBatchTasks(batch)));
+    }
+    if (missingIds.length > 0) {
+      await redisClient.zRem(batchRecentKey, missingIds);
+    }
+    return res.json({ batches });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load batches" });
+  }
+});
+
+app.get("/api/batches/:id", async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    const aggregate = await loadBatchTasks(batch);
+    const jobs = batch.results.map((result) => ({
+      index: result.index,
+      job: batch.jobs[result.index] || null,
+      ok: result.ok,
+      error: result.error,
+      copy_errors: result.copy_errors || [],
+      tasks: result.task_ids.map((localTaskId) => {
+        const task = aggregate.tasksById.get(localTaskId);
+        return {
+          localTaskId,
+          status: task ? task.status : "missing",
+          progress: task?.progress ?? 0,
+          video_url: task?.video_url || null,
+          origin_video_url: task?.origin_video_url || null,
+          error: task?.error || null
+        };
+      })
+    }));
+    return res.json({ ...toBatchSummary(batch, aggregate), jobs });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load batch" });
+  }
+});
+
+const importColumns = new Set([
+  "mode",
+  "model",
+  "prompt",
+  "image_url",
+  "image_urls",
+  "duration",
+  "aspect_ratio",
+  "size",
+  "character_id_list",
+  "batchCount",
+  "priority",
+  "run_at",
+  "notify_url"
+]);
+const importListColumns = new Set(["image_urls", "character_id_list"]);
+
+// RFC 4180 records: quoted fields, doubled quotes and line breaks inside quotes.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+// Returns { format, ignoredColumns, entries: [{ row, fields, errors }] } where
+// `row` is the spreadsheet row (header = 1) for CSV and the line for JSONL.
+const parseImportFile = (buffer, filename = "") => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const isJsonl = /\.jsonl?$/i.test(filename) || text.trimStart().startsWith("{");
+  const entries = [];
+  const ignoredColumns = new Set();
+
+  if (isJsonl) {
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      let fields;
+      try {
+        fields = JSON.parse(line);
+      } catch (error) {
+        entries.push({ row: index + 1, fields: {}, errors: [`Invalid JSON: ${error.message}`] });
+        return;
+      }
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        entries.push({ row: index + 1, fields: {}, errors: ["Line must be a JSON object"] });
+        return;
+      }
+      Object.keys(fields)
+        .filter((key) => !importColumns.has(key))
+        .forEach((key) => ignoredColumns.add(key));
+      entries.push({ row: index + 1, fields, errors: [] });
+    });
+    return { format: "jsonl", ignoredColumns: [...ignoredColumns], entries };
+  }
+
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+  columns
+    .filter((column) => column && !importColumns.has(column))
+    .forEach((column) => ignoredColumns.add(column));
+  records.forEach((record, index) => {
+    if (record.every((value) => !value.trim())) {
+      return;
+    }
+    const fields = {};
+    columns.forEach((column, columnIndex) => {
+      fields[column] = record[columnIndex];
+    });
+    entries.push({ row: index + 2, fields, errors: [] });
+  });
+  return { format: "csv", ignoredColumns: [...ignoredColumns], entries };
+};
+
+// Image cells hold URLs, or bare filenames returned by /api/upload.
+const resolveImportImage = async (value, baseUrl) => {
+  const cleaned = String(value).trim();
+  if (/^https?:\/\//i.test(cleaned) || cleaned.startsWith("/")) {
+    return cleaned;
+  }
+  const filename = path.basename(cleaned);
+  if (filename !== cleaned) {
+    throw new ApiError(400, `Invalid image reference: ${cleaned}`);
+  }
+  try {
+    await fs.promises.access(path.join(UPLOADS_DIR, filename));
+  } catch (error) {
+    throw new ApiError(400, `Upload not found: ${filename}`);
+  }
+  return buildPublicUploadUrl(filename, baseUrl);
+};
+
+const toImportJob = async (fields, baseUrl) => {
+  const job = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (!importColumns.has(key) || value === undefined || value === null) {
+      return;
+    }
+    if (importListColumns.has(key)) {
+      const items = Array.isArray(value) ? value : String(value).split("|");
+      const list = items.map((item) => String(item).trim()).filter(Boolean);
+      if (list.length > 0) {
+        job[key] = list;
+      }
+      return;
+    }
+    const normalized = typeof value === "string" ? value.trim() : value;
+    if (normalized !== "") {
+      job[key] = normalized;
+    }
+  });
+  if (job.image_url) {
+    job.image_url = await resolveImportImage(job.image_url, baseUrl);
+  }
+  if (job.image_urls) {
+    job.image_urls = await Promise.all(
+      job.image_urls.map((value) => resolveImportImage(value, baseUrl))
+    );
+  }
+  if (!job.mode) {
+    job.mode = job.image_url || job.image_urls ? "i2v" : "t2v";
+  }
+  return job;
+};
+
+app.post("/api/video/batch_import", limiter, importUpload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "file is required" });
+  }
+
+  const baseUrl = getRequestBaseUrl(req);
+  const { format, ignoredColumns, entries } = parseImportFile(
+    req.file.buffer,
+    req.file.originalname
+  );
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "No rows found" });
+  }
+  if (entries.length > IMPORT_MAX_ROWS) {
+    return res.status(400).json({ error: `Too many rows (max ${IMPORT_MAX_ROWS})` });
+  }
+
+  const rows = [];
+  for (const entry of entries) {
+    let job = null;
+    const errors = [...entry.errors];
+    if (errors.length === 0) {
+      try {
+        job = await toImportJob(entry.fields, baseUrl);
+        prepareVideoJob(job, baseUrl);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    rows.push({ row: entry.row, job, errors });
+  }
+
+  const invalid = rows.filter((row) => row.errors.length > 0).length;
+  return res.json({
+    format,
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    ignored_columns: ignoredColumns,
+    rows
   });
 });
 
@@ -848,37 +4493,176 @@ app.get("/api/video/status", async (req, res) => {
   if (!task_id) {
     return res.status(400).json({ error: "task_id is required" });
   }
-
-  const task = await getTask(task_id);
-  if (!task) {
-    return res.status(404).json({ error: "Task not found" });
+
+  const task = await getTaskForStatus("video", task_id, {
+    forceRefresh: req.query.refresh === "1" || req.query.refresh === "true"
+  });
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+
+  return res.json({
+    status: task.status,
+    progress: task.progress,
+    video_url: task.video_url,
+    download_status: task.download_status || null,
+    download_attempts: task.download_attempts || 0,
+    attempts: task.attempts || [],
+    error: task.error
+  });
+});
+
+app.get("/api/image/status", async (req, res) => {
+  const { task_id } = req.query;
+
+  if (!task_id) {
+    return res.status(400).json({ error: "task_id is required" });
+  }
+
+  const task = await getTaskForStatus("image", task_id, {
+    forceRefresh: req.query.refresh === "1" || req.query.refresh === "true"
+  });
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+
+  return res.json({
+    status: task.status,
+    progress: task.progress,
+    image_url: task.image_url || task.origin_image_url || null,
+    origin_image_url: task.origin_image_url || null,
+    download_status: task.download_status || null,
+    download_attempts: task.download_attempts || 0,
+    attempts: task.attempts || [],
+    error: task.error
+  });
+});
+
+app.post("/api/video/cancel", async (req, res) => {
+  const { task_id } = req.body || {};
+  if (!task_id) {
+    return res.status(400).json({ error: "task_id is required" });
+  }
+  try {
+    const { task, providerCancelled } = await cancelTask("video", task_id, req.user);
+    return res.json({
+      success: true,
+      status: task.status,
+      provider_cancelled: providerCancelled
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to cancel task" });
+  }
+});
+
+app.post("/api/image/cancel", async (req, res) => {
+  const { task_id } = req.body || {};
+  if (!task_id) {
+    return res.status(400).json({ error: "task_id is required" });
+  }
+  try {
+    const { task, providerCancelled } = await cancelTask("image", task_id, req.user);
+    return res.json({
+      success: true,
+      status: task.status,
+      provider_cancelled: providerCancelled
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to cancel task" });
   }
+});
 
-  return res.json({
-    status: task.status,
-    progress: task.progress,
-    video_url: task.video_url,
-    error: task.error
-  });
+const toVideoListItem = (task) => ({
+  localTaskId: task.localTaskId,
+  createdAt: task.createdAt,
+  mode: task.mode,
+  prompt: task.prompt,
+  status: task.status,
+  progress: task.progress,
+  video_url: task.video_url || null,
+  origin_video_url: task.origin_video_url || null,
+  download_status: task.download_status || null,
+  download_attempts: task.download_attempts || 0,
+  keep: Boolean(task.keep),
+  retryOf: task.retryOf || null,
+  createdBy: task.createdBy || null,
+  batchId: task.batchId || null,
+  templateId: task.templateId || null,
+  templateVars: task.templateVars || null,
+  priority: task.priority || "normal",
+  run_at: task.run_at || null,
+  queue_position: null,
+  error: task.error || null
 });
 
-app.get("/api/image/status", async (req, res) => {
-  const { task_id } = req.query;
+const toImageListItem = (task) => ({
+  localTaskId: task.localTaskId,
+  createdAt: task.createdAt,
+  prompt: task.prompt,
+  status: task.status,
+  progress: task.progress,
+  image_url: task.image_url || task.origin_image_url || null,
+  origin_image_url: task.origin_image_url || null,
+  download_status: task.download_status || null,
+  download_attempts: task.download_attempts || 0,
+  keep: Boolean(task.keep),
+  retryOf: task.retryOf || null,
+  createdBy: task.createdBy || null,
+  priority: task.priority || "normal",
+  run_at: task.run_at || null,
+  queue_position: null,
+  error: task.error || null
+});
 
-  if (!task_id) {
-    return res.status(400).json({ error: "task_id is required" });
-  }
+const taskListItems = { video: toVideoListItem, image: toImageListItem };
 
-  const task = await getImageTask(task_id);
-  if (!task) {
-    return res.status(404).json({ error: "Task not found" });
-  }
+// Every task write is published on taskEventsChannel; each instance relays
+// the messages to its own /api/events subscribers, so a client sees updates
+// no matter which instance handled the callback or download. Events carry the
+// same shape as list items (queue_position is left null).
+const eventClients = new Set();
 
-  return res.json({
-    status: task.status,
-    progress: task.progress,
-    image_url: task.image_url,
-    error: task.error
+const publishTaskEvent = (kind, task) => {
+  const message = JSON.stringify({ kind, task: taskListItems[kind](task) });
+  redisClient.publish(taskEventsChannel, message).catch((error) => {
+    console.warn(`Failed to publish task event for ${task.localTaskId}: ${error.message}`);
+  });
+};
+
+const broadcastTaskEvent = (message) => {
+  eventClients.forEach((client) => {
+    client.write(`event: task\ndata: ${message}\n\n`);
+  });
+};
+
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  eventClients.add(res);
+  // The stream outlives the request that authenticated it, so a revoked
+  // session or API key is noticed (and the stream closed) on the next heartbeat.
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isRequestUserActive(req.user))) {
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.warn(`Failed to check event stream credentials: ${error.message}`);
+    }
+    res.write(": ping\n\n");
+  }, EVENTS_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
   });
 });
 
@@ -902,23 +4686,14 @@ app.get("/api/video/list", async (req, res) => {
       missingIds.push(ids[index]);
       return;
     }
-    tasks.push({
-      localTaskId: task.localTaskId,
-      createdAt: task.createdAt,
-      mode: task.mode,
-      prompt: task.prompt,
-      status: task.status,
-      progress: task.progress,
-      video_url: task.video_url || null,
-      origin_video_url: task.origin_video_url || null,
-      error: task.error || null
-    });
+    tasks.push(toVideoListItem(task));
   });
 
   if (missingIds.length > 0) {
     await redisClient.zRem(recentKey, missingIds);
   }
 
+  await addQueuePositions("video", tasks);
   return res.json({ tasks });
 });
 
@@ -942,21 +4717,14 @@ app.get("/api/image/list", async (req, res) => {
       missingIds.push(ids[index]);
       return;
     }
-    tasks.push({
-      localTaskId: task.localTaskId,
-      createdAt: task.createdAt,
-      prompt: task.prompt,
-      status: task.status,
-      progress: task.progress,
-      image_url: task.image_url || task.origin_image_url || null,
-      error: task.error || null
-    });
+    tasks.push(toImageListItem(task));
   });
 
   if (missingIds.length > 0) {
     await redisClient.zRem(imageRecentKey, missingIds);
   }
 
+  await addQueuePositions("image", tasks);
   return res.json({ tasks });
 });
 
@@ -994,6 +4762,227 @@ app.get("/api/admin/uploads", async (req, res) => {
   }
 });
 
+app.post("/api/admin/tasks/:id/download", async (req, res) => {
+  const localTaskId = req.params.id;
+  const task = await getTask(localTaskId);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+  if (!task.origin_video_url) {
+    return res.status(409).json({ error: "Task has no origin video url" });
+  }
+
+  resetTaskDownload(task, "video");
+  await saveTask(task);
+  await enqueueTaskDownload("video", localTaskId);
+  return res.json({
+    success: true,
+    id: localTaskId,
+    download_status: task.download_status
+  });
+});
+
+app.post("/api/admin/image/tasks/:id/download", async (req, res) => {
+  const localTaskId = req.params.id;
+  const task = await getImageTask(localTaskId);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+  if (!task.origin_image_url) {
+    return res.status(409).json({ error: "Task has no origin image url" });
+  }
+
+  resetTaskDownload(task, "image");
+  await saveImageTask(task);
+  await enqueueTaskDownload("image", localTaskId);
+  return res.json({
+    success: true,
+    id: localTaskId,
+    download_status: task.download_status
+  });
+});
+
+const normalizeWebhookPayload = (payload = {}, existing = {}) => {
+  const url = normalizeNotifyUrl(payload.url ?? existing.url);
+  if (!url) {
+    throw new ApiError(400, "url is required");
+  }
+  const events = payload.events ?? existing.events ?? webhookEventTypes;
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !webhookEventTypes.includes(event))
+  ) {
+    throw new ApiError(400, `events must be a subset of ${webhookEventTypes.join(", ")}`);
+  }
+  return {
+    ...existing,
+    url,
+    events: [...new Set(events)],
+    enabled: payload.enabled === undefined ? existing.enabled ?? true : Boolean(payload.enabled)
+  };
+};
+
+app.get("/api/admin/webhooks", async (req, res) => {
+  try {
+    return res.json({
+      webhooks: await getWebhooks(),
+      events: webhookEventTypes,
+      secret: webhookSecret
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to load webhooks" });
+  }
+});
+
+app.post("/api/admin/webhooks", async (req, res) => {
+  try {
+    const webhook = normalizeWebhookPayload(req.body, {
+      webhookId: `wh_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString()
+    });
+    await redisClient.hSet(webhooksKey, webhook.webhookId, JSON.stringify(webhook));
+    return res.json({ webhook });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to save webhook" });
+  }
+});
+
+app.put("/api/admin/webhooks/:id", async (req, res) => {
+  try {
+    const existing = parseTask(await redisClient.hGet(webhooksKey, req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    const webhook = normalizeWebhookPayload(req.body, existing);
+    await redisClient.hSet(webhooksKey, webhook.webhookId, JSON.stringify(webhook));
+    return res.json({ webhook });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to save webhook" });
+  }
+});
+
+app.delete("/api/admin/webhooks/:id", async (req, res) => {
+  try {
+    const deleted = await redisClient.hDel(webhooksKey, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to delete webhook" });
+  }
+});
+
+app.get("/api/admin/webhooks/deliveries", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), WEBHOOK_LOG_LIMIT);
+    const ids = await redisClient.zRange(webhookDeliveriesKey, 0, limit - 1, { REV: true });
+    if (ids.length === 0) {
+      return res.json({ deliveries: [] });
+    }
+    const rawDeliveries = await redisClient.mGet(ids.map(webhookDeliveryKey));
+    return res.json({ deliveries: rawDeliveries.map(parseTask).filter(Boolean) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res
+      .status(statusCode)
+      .json({ error: error.message || "Failed to load webhook deliveries" });
+  }
+});
+
+// Replays send the original event (same event id, so receivers can dedupe)
+// as a new delivery with a fresh set of attempts.
+app.post("/api/admin/webhooks/deliveries/:id/replay", async (req, res) => {
+  try {
+    const original = await getWebhookDelivery(req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    const delivery = await queueWebhookDelivery({
+      webhookId: original.webhookId,
+      url: original.url,
+      event: original.event,
+      replayOf: original.deliveryId
+    });
+    void processWebhookQueue();
+    return res.json({ delivery });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res
+      .status(statusCode)
+      .json({ error: error.message || "Failed to replay webhook delivery" });
+  }
+});
+
+app.get("/api/admin/retention", async (req, res) => {
+  const raw = await redisClient.get(retentionReportKey);
+  let report = null;
+  try {
+    report = raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`Failed to parse retention report: ${error.message}`);
+  }
+  return res.json({
+    retentionSeconds: FILES_RETENTION_MS / 1000,
+    lastReport: report
+  });
+});
+
+app.post("/api/admin/retention/run", async (req, res) => {
+  try {
+    const report = await sweepResultFiles({ force: true });
+    return res.json({ success: true, report });
+  } catch (error) {
+    console.warn(`Failed to run retention sweep: ${error.message}`);
+    return res.status(500).json({ error: "Failed to run retention sweep" });
+  }
+});
+
+const setTaskKeep = async (kind, localTaskId, keep, user) => {
+  const config = taskKinds[kind];
+  const task = await config.getTask(localTaskId);
+  if (!task) {
+    return null;
+  }
+  assertTaskAccess(user, task);
+  task.keep = keep;
+  await config.saveTask(task, { refreshRecent: true });
+  return task;
+};
+
+app.post("/api/tasks/:id/keep", async (req, res) => {
+  const keep = req.body?.keep !== false;
+  try {
+    const task = await setTaskKeep("video", req.params.id, keep, req.user);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    return res.json({ success: true, id: task.localTaskId, keep });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to update task" });
+  }
+});
+
+app.post("/api/image/tasks/:id/keep", async (req, res) => {
+  const keep = req.body?.keep !== false;
+  try {
+    const task = await setTaskKeep("image", req.params.id, keep, req.user);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    return res.json({ success: true, id: task.localTaskId, keep });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to update task" });
+  }
+});
+
 app.delete("/api/tasks/:id", async (req, res) => {
   const localTaskId = req.params.id;
   if (!localTaskId) {
@@ -1004,15 +4993,21 @@ app.delete("/api/tasks/:id", async (req, res) => {
   if (!task) {
     return res.status(404).json({ error: "Task not found" });
   }
+  if (!canChangeTask(req.user, task)) {
+    return res.status(403).json({ error: "You can only change your own tasks" });
+  }
 
   const multi = redisClient.multi();
   multi.del(taskKey(localTaskId));
   multi.zRem(recentKey, localTaskId);
+  multi.sRem(keptKey, localTaskId);
   if (task.kieTaskId) {
     multi.del(mapKey(task.kieTaskId));
   }
 
   await multi.exec();
+  await removeGenerationJob("video", localTaskId);
+  await deleteTaskFiles("video", task);
   return res.json({ success: true, id: localTaskId });
 });
 
@@ -1026,131 +5021,330 @@ app.delete("/api/image/tasks/:id", async (req, res) => {
   if (!task) {
     return res.status(404).json({ error: "Task not found" });
   }
+  if (!canChangeTask(req.user, task)) {
+    return res.status(403).json({ error: "You can only change your own tasks" });
+  }
 
   const multi = redisClient.multi();
   multi.del(imageTaskKey(localTaskId));
   multi.zRem(imageRecentKey, localTaskId);
+  multi.sRem(imageKeptKey, localTaskId);
   if (task.kieTaskId) {
     multi.del(imageMapKey(task.kieTaskId));
   }
 
   await multi.exec();
+  await removeGenerationJob("image", localTaskId);
+  await deleteTaskFiles("image", task);
   return res.json({ success: true, id: localTaskId });
 });
 
-app.post("/api/callback", async (req, res) => {
-  const kieTaskId = req.body?.data?.taskId;
-  const state = normalizeTaskStatus(req.body?.data?.state);
-  const progress = req.body?.data?.progress;
-
-  if (!kieTaskId) {
-    return res.status(400).json({ error: "Missing taskId" });
+// Provider tasks whose callback cannot be applied to a local task are logged
+// rather than silently dropped: they were paid for and may hold a usable result.
+const recordOrphanProviderTask = async ({
+  provider,
+  providerTaskId,
+  kind = null,
+  localTaskId = null,
+  reason,
+  update
+}) => {
+  const entry = {
+    provider,
+    providerTaskId,
+    kind,
+    localTaskId,
+    reason,
+    state: update?.state || null,
+    resultUrl: update?.resultUrl || null,
+    receivedAt: new Date().toISOString()
+  };
+  try {
+    const multi = redisClient.multi();
+    multi.zAdd(orphanLogKey, [{ score: Date.now(), value: JSON.stringify(entry) }]);
+    multi.zRemRangeByRank(orphanLogKey, 0, -ORPHAN_LOG_LIMIT - 1);
+    multi.expire(orphanLogKey, TASK_TTL_SECONDS);
+    await multi.exec();
+  } catch (error) {
+    console.warn(`Failed to record orphan kieTaskId=${providerTaskId}: ${error.message}`);
   }
+};
 
-  const imageLocalTaskId = await redisClient.get(imageMapKey(kieTaskId));
-  const localTaskId = imageLocalTaskId || (await redisClient.get(mapKey(kieTaskId)));
-  if (!localTaskId) {
-    console.warn(`Callback task not found for kieTaskId=${kieTaskId}`);
-    return res.json({ ok: true });
+// A callback for an unknown task has no per-task token to check, and without a
+// provider signing key nothing else authenticates it, so its body is never
+// logged as is. The task is looked up through the provider's own API instead,
+// at most ORPHAN_CHECKS_PER_MINUTE times a minute across instances, and only
+// recorded if the provider knows it.
+const recordUnknownProviderTask = async (provider, providerTaskId) => {
+  try {
+    const checks = await redisClient.incr(orphanChecksKey);
+    if (checks === 1) {
+      await redisClient.expire(orphanChecksKey, 60);
+    }
+    if (checks > ORPHAN_CHECKS_PER_MINUTE) {
+      console.warn(`Dropped callback for unknown kieTaskId=${providerTaskId}: check limit reached`);
+      return;
+    }
+    const remote = await provider.queryTask(providerTaskId);
+    await recordOrphanProviderTask({
+      provider: provider.name,
+      providerTaskId,
+      reason: "unknown",
+      update: remote
+    });
+  } catch (error) {
+    console.warn(`Dropped callback for unknown kieTaskId=${providerTaskId}: ${error.message}`);
   }
+};
 
-  if (imageLocalTaskId) {
-    const task = await getImageTask(localTaskId);
+// A callback for a task still marked pending means the provider task was
+// created but dispatch never recorded it (the save failed or the instance
+// died). The callback carried this task's token, so the provider task is
+// adopted as the task's submission instead of being dispatched a second time.
+const adoptProviderTask = async (kind, task, providerTaskId) => {
+  appendTaskAttempts(task, [
+    { action: "adopt", at: new Date().toISOString(), providerTaskId, error: null }
+  ]);
+  task.kieTaskId = providerTaskId;
+  task.status = "queued";
+  task.submittedAt = task.submittedAt || new Date().toISOString();
+  await taskKinds[kind].saveTask(task);
+  await redisClient.zRem(generationQueueKey, `${kind}:${task.localTaskId}`);
+  console.log(`Adopted orphaned kieTaskId=${providerTaskId} for ${kind} task ${task.localTaskId}`);
+};
+
+app.get("/api/orphans", async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), ORPHAN_LOG_LIMIT);
+  const entries = await redisClient.zRange(orphanLogKey, 0, limit - 1, { REV: true });
+  return res.json({ orphans: entries.map(parseTask).filter(Boolean) });
+});
+
+// Attaches a logged orphan to a local task that has no result of its own (for
+// example one that failed after its provider task was lost), then pulls the
+// provider task's current state through the normal refresh path.
+app.post("/api/orphans/:providerTaskId/attach", async (req, res) => {
+  try {
+    const { providerTaskId } = req.params;
+    const { kind = "video", task_id: localTaskId } = req.body || {};
+    const config = taskKinds[kind];
+    if (!config || !localTaskId) {
+      return res.status(400).json({ error: "kind (video|image) and task_id are required" });
+    }
+    const entries = await redisClient.zRange(orphanLogKey, 0, -1);
+    const members = entries.filter((raw) => parseTask(raw)?.providerTaskId === providerTaskId);
+    if (members.length === 0) {
+      return res.status(404).json({ error: "Orphan not found" });
+    }
+    const task = await config.getTask(localTaskId);
     if (!task) {
-      console.warn(`Callback local image task missing for kieTaskId=${kieTaskId}`);
-      return res.json({ ok: true });
+      return res.status(404).json({ error: "Task not found" });
     }
-
-    console.log(`Callback received image kieTaskId=${kieTaskId} state=${state}`);
-    if (state) {
-      task.status = state;
+    if (task.status === "success") {
+      return res.status(409).json({ error: "Task already succeeded" });
     }
-    const normalizedProgress = Number(progress);
-    if (!Number.isNaN(normalizedProgress)) {
-      task.progress = normalizedProgress;
+    if (getTaskProvider(task).name !== parseTask(members[0]).provider) {
+      return res.status(409).json({ error: "Orphan belongs to a different provider" });
     }
+    appendTaskAttempts(task, [
+      { action: "attach", at: new Date().toISOString(), providerTaskId, error: null }
+    ]);
+    task.kieTaskId = providerTaskId;
+    task.status = "queued";
+    task.error = null;
+    task.submittedAt = task.submittedAt || new Date().toISOString();
+    await config.saveTask(task);
+    await redisClient.set(config.mapKey(providerTaskId), localTaskId, { EX: TASK_TTL_SECONDS });
+    await removeGenerationJob(kind, localTaskId);
+    await redisClient.zRem(orphanLogKey, members);
+    console.log(`Attached orphaned kieTaskId=${providerTaskId} to ${kind} task ${localTaskId}`);
+    const refreshed = await refreshTaskFromProvider(kind, localTaskId);
+    return res.json({ success: true, task: toPublicTask(refreshed) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({ error: error.message || "Failed to attach orphan" });
+  }
+});
 
-    if (state === "success") {
-      task.progress = 100;
-      const originUrl = parseResultImageUrl(req.body?.data?.resultJson);
-      if (originUrl) {
-        task.origin_image_url = originUrl;
-        task.image_url = originUrl;
-      } else {
-        task.error = task.error || "Missing origin image url in callback";
-      }
-      await saveImageTask(task);
-      return res.json({ ok: true });
-    }
+app.post("/api/callback/:provider?", async (req, res) => {
+  let provider;
+  try {
+    provider = getProvider(req.params.provider || DEFAULT_PROVIDER);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
 
-    if (state === "fail") {
-      task.error =
-        req.body?.data?.failMsg ||
-        req.body?.data?.msg ||
-        req.body?.data?.failCode ||
-        "Kie task failed";
-    }
+  if (!provider.verifyCallback(req)) {
+    console.warn(`Callback signature rejected for provider=${provider.name}`);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const update = provider.parseCallback(req.body);
+  const kieTaskId = update?.providerTaskId;
 
-    await saveImageTask(task);
+  if (!kieTaskId) {
+    return res.status(400).json({ error: "Missing taskId" });
+  }
+
+  const imageLocalTaskId = await redisClient.get(imageMapKey(kieTaskId));
+  const localTaskId = imageLocalTaskId || (await redisClient.get(mapKey(kieTaskId)));
+  if (!localTaskId) {
+    console.warn(`Callback task not found for kieTaskId=${kieTaskId}`);
+    await recordUnknownProviderTask(provider, kieTaskId);
     return res.json({ ok: true });
   }
 
-  const task = await getTask(localTaskId);
+  const task = imageLocalTaskId ? await getImageTask(localTaskId) : await getTask(localTaskId);
   if (!task) {
     console.warn(`Callback local task missing for kieTaskId=${kieTaskId}`);
     return res.json({ ok: true });
   }
 
-  console.log(`Callback received kieTaskId=${kieTaskId} state=${state}`);
-  if (state) {
-    task.status = state;
+  if (getTaskProvider(task) !== provider) {
+    console.warn(
+      `Callback provider mismatch for kieTaskId=${kieTaskId}: expected=${getTaskProvider(task).name} got=${provider.name}`
+    );
+    return res.json({ ok: true });
   }
-  const normalizedProgress = Number(progress);
-  if (!Number.isNaN(normalizedProgress)) {
-    task.progress = normalizedProgress;
+
+  if (!verifyCallbackToken(task, req.query.token)) {
+    console.warn(`Callback token rejected for kieTaskId=${kieTaskId}`);
+    return res.status(401).json({ error: "Unauthorized" });
   }
 
-  if (state === "success") {
-    task.progress = 100;
-    const originUrl = parseResultVideoUrl(req.body?.data?.resultJson);
-    if (originUrl) {
-      task.origin_video_url = originUrl;
+  if (task.status === "cancelled") {
+    console.log(`Callback ignored for cancelled task kieTaskId=${kieTaskId} state=${update.state}`);
+    return res.json({ ok: true });
+  }
+
+  // Provider tasks already in the attempt log were replaced by a resubmit.
+  const resubmitted = (task.attempts || []).some(
+    (attempt) => attempt.providerTaskId === kieTaskId
+  );
+  if (!task.kieTaskId && task.status === "pending" && !resubmitted) {
+    await adoptProviderTask(imageLocalTaskId ? "image" : "video", task, kieTaskId);
+  }
+
+  if (task.kieTaskId !== kieTaskId) {
+    if (resubmitted) {
+      console.log(`Callback ignored for resubmitted task kieTaskId=${kieTaskId}`);
     } else {
-      task.error = task.error || "Missing origin video url in callback";
-    }
-    await saveTask(task);
-    if (originUrl) {
-      void downloadAndPersistVideo(localTaskId, originUrl);
+      console.warn(`Callback for duplicate provider task kieTaskId=${kieTaskId}`);
+      await recordOrphanProviderTask({
+        provider: provider.name,
+        providerTaskId: kieTaskId,
+        kind: imageLocalTaskId ? "image" : "video",
+        localTaskId,
+        reason: "superseded",
+        update
+      });
     }
     return res.json({ ok: true });
   }
 
-  if (state === "fail") {
-    task.error =
-      req.body?.data?.failMsg ||
-      req.body?.data?.msg ||
-      req.body?.data?.failCode ||
-      "Kie task failed";
+  let verifiedUpdate = update;
+  if (update.state === "success") {
+    try {
+      verifiedUpdate = await confirmProviderSuccess(provider, update);
+    } catch (error) {
+      console.warn(`Callback success not confirmed for kieTaskId=${kieTaskId}: ${error.message}`);
+      return res.json({ ok: true });
+    }
   }
 
-  await saveTask(task);
+  if (imageLocalTaskId) {
+    console.log(
+      `Callback received image provider=${provider.name} kieTaskId=${kieTaskId} state=${update.state}`
+    );
+    await applyImageTaskUpdate(task, verifiedUpdate);
+    return res.json({ ok: true });
+  }
+
+  console.log(
+    `Callback received provider=${provider.name} kieTaskId=${kieTaskId} state=${update.state}`
+  );
+  await applyVideoTaskUpdate(task, verifiedUpdate);
   return res.json({ ok: true });
 });
 
+app.get("/api/models", (req, res) => {
+  const provider = getProvider();
+  return res.json({ provider: provider.name, ...provider.listModels() });
+});
+
+app.get(`${MOCK_ASSETS_PATH}/:name`, async (req, res) => {
+  try {
+    const asset = await getMockAsset(req.params.name);
+    if (!asset) {
+      return res.status(404).json({ error: "Asset not found" });
+    }
+    res.set("Content-Type", asset.contentType);
+    return res.send(asset.body);
+  } catch (error) {
+    console.warn(`Failed to load mock asset ${req.params.name}: ${error.message}`);
+    return res.status(500).json({ error: "Failed to load mock asset" });
+  }
+});
+
 app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
+// Errors raised by middleware (multer rejecting an oversized upload, a bad
+// JSON body) would otherwise reach Express's default HTML error page.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error instanceof multer.MulterError) {
+    // Only the import upload sets a size limit.
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ error: `File too large (max ${IMPORT_MAX_BYTES} bytes)` });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+  const statusCode = error.statusCode || error.status || 500;
+  if (statusCode >= 500) {
+    console.warn(`Unhandled request error on ${req.path}: ${error.message}`);
+    return res.status(statusCode).json({ error: "Internal error" });
+  }
+  return res.status(statusCode).json({ error: error.message });
+});
+
 const startServer = async () => {
   try {
+    getProvider();
     await redisClient.connect();
-    await loadAdminCredentials();
+    await redisSubscriber.connect();
+    await redisSubscriber.subscribe(taskEventsChannel, broadcastTaskEvent);
+    await ensureAdminUser();
+    await migratePlaintextPasswords();
+    await loadWebhookSecret();
     await ensureFilesDir();
     await ensureUploadsDir();
     await cleanupOldFiles();
+    sweepResultFiles().catch((error) => {
+      console.warn(`Failed to sweep result files: ${error.message}`);
+    });
     setInterval(() => {
       void cleanupOldFiles();
     }, 24 * 60 * 60 * 1000);
+    setInterval(() => {
+      void reconcileTasks();
+    }, RECONCILE_INTERVAL_MS);
+    setInterval(() => {
+      void processDownloadQueue();
+    }, DOWNLOAD_QUEUE_POLL_MS);
+    setInterval(() => {
+      void processGenerationQueue();
+    }, GENERATION_QUEUE_POLL_MS);
+    setInterval(() => {
+      void processWebhookQueue();
+    }, WEBHOOK_QUEUE_POLL_MS);
+    setInterval(() => {
+      sweepResultFiles().catch((error) => {
+        console.warn(`Failed to sweep result files: ${error.message}`);
+      });
+    }, RETENTION_SWEEP_INTERVAL_MS);
     app.listen(PORT, () => {
       console.log(`AI video server listening on port ${PORT}`);
     });
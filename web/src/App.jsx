@@ -67,16 +67,79 @@ const initialImageForm = {
 };
 
 const statusLabels = {
+  pending: "等待提交",
   queued: "排队中",
   running: "生成中",
   success: "已完成",
   fail: "失败",
   succeeded: "已完成",
   failed: "失败",
-  failure: "失败"
+  failure: "失败",
+  cancelled: "已取消"
 };
 
-const terminalStatuses = new Set(["success", "fail", "succeeded", "failed", "failure"]);
+const downloadStatusLabels = {
+  pending: "等待保存",
+  downloading: "保存中",
+  retrying: "等待重试保存",
+  failed: "本地保存失败"
+};
+
+const webhookEventLabels = {
+  "task.success": "生成成功",
+  "task.fail": "生成失败",
+  "task.downloaded": "本地保存完成"
+};
+
+const userRoleLabels = {
+  viewer: "只读",
+  creator: "创作者",
+  admin: "管理员"
+};
+
+const apiKeyScopeLabels = {
+  read: "读取",
+  create: "创建任务"
+};
+
+const deliveryStatusLabels = {
+  pending: "待发送",
+  retrying: "等待重试",
+  success: "已送达",
+  failed: "发送失败"
+};
+
+const terminalStatuses = new Set([
+  "success",
+  "fail",
+  "succeeded",
+  "failed",
+  "failure",
+  "cancelled"
+]);
+
+const batchStatusLabels = {
+  running: "进行中",
+  done: "已结束"
+};
+
+const batchCountLabels = [
+  ["pending", "等待提交"],
+  ["queued", "排队中"],
+  ["running", "生成中"],
+  ["success", "已完成"],
+  ["fail", "失败"],
+  ["cancelled", "已取消"],
+  ["missing", "已过期"]
+];
+
+const priorityLabels = {
+  high: "优先",
+  low: "低优先级"
+};
+
+const isCancellable = (status) =>
+  status === "pending" || status === "queued" || status === "running";
 
 const durations = [
   { value: "10", label: "10 秒" },
@@ -143,6 +206,86 @@ const formatProgress = (value) => {
 
 const formatPrompt = (prompt) => prompt || "(无提示词)";
 
+// Optimistic entries are only added if a live event has not already
+// delivered the task, which would otherwise be listed twice.
+const prependTasks = (prev, tasks) => {
+  const known = new Set(prev.map((task) => task.localTaskId));
+  return [...tasks.filter((task) => !known.has(task.localTaskId)), ...prev];
+};
+
+// Events carry list items without queue positions; keep the last known
+// position while the task is still waiting to be submitted.
+const mergeTaskEvent = (prev, task) => {
+  if (!prev.some((item) => item.localTaskId === task.localTaskId)) {
+    return [task, ...prev];
+  }
+  return prev.map((item) =>
+    item.localTaskId === task.localTaskId
+      ? {
+          ...item,
+          ...task,
+          queue_position: task.status === "pending" ? item.queue_position : null
+        }
+      : item
+  );
+};
+
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += value;
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    frames.forEach((frame) => {
+      const data = frame
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (!data) {
+        return;
+      }
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (err) {
+        return;
+      }
+      onEvent(event);
+    });
+  }
+};
+
+// Mirrors the server's ownership rule: admins change any task, creators only
+// their own, viewers none.
+const canChangeTask = (user, task) =>
+  user?.role === "admin" ||
+  (user?.role === "creator" && Boolean(user.userId) && task.createdBy?.userId === user.userId);
+
+const createIdempotencyKey = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+const templateExpansionOptions = [
+  { value: "cartesian", label: "全部组合（笛卡尔积）" },
+  { value: "zip", label: "按行一一对应" }
+];
+
+const getTemplatePlaceholders = (prompt) => {
+  const matches = String(prompt || "").matchAll(/\{([A-Za-z_][\w-]*)\}/g);
+  return [...new Set([...matches].map((match) => match[1]))];
+};
+
+const parseTemplateValues = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
 const getSimulatedProgressNext = (prev) => {
   if (prev >= 95) {
     return 95;
@@ -219,6 +362,214 @@ function SimulatedProgressRow({ status, isHistory }) {
   );
 }
 
+function QueueChips({ task }) {
+  return (
+    <>
+      {priorityLabels[task.priority] && (
+        <span className="chip">{priorityLabels[task.priority]}</span>
+      )}
+      {task.status === "pending" && task.run_at && (
+        <span className="chip">计划于 {formatTimestamp(task.run_at)}</span>
+      )}
+      {task.status === "pending" && task.queue_position && (
+        <span className="chip">队列第 {task.queue_position} 位</span>
+      )}
+    </>
+  );
+}
+
+function BatchProgress({ counts, total }) {
+  const finished = total - (counts.pending + counts.queued + counts.running);
+  const percent = total > 0 ? Math.round((finished / total) * 100) : 0;
+  return (
+    <>
+      <div className="task-meta-line">
+        {batchCountLabels
+          .filter(([status]) => counts[status] > 0)
+          .map(([status, label]) => (
+            <span key={status} className="chip">
+              {label} {counts[status]}
+            </span>
+          ))}
+      </div>
+      <div className="history-progress-wrapper">
+        <div className="history-progress-track">
+          <div className="history-progress-fill" style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+function BatchesView({
+  batches,
+  batchesLoading,
+  batchesError,
+  fetchBatches,
+  selectedBatch,
+  batchDetailLoading,
+  handleOpenBatch,
+  handleCloseBatch,
+  setPreviewVideo,
+  token
+}) {
+  if (selectedBatch) {
+    return (
+      <section className="history-view">
+        <div className="history-header">
+          <div>
+            <h2>批次详情</h2>
+            <p className="muted">
+              {selectedBatch.batch_id} · {formatTimestamp(selectedBatch.createdAt)} · 共{" "}
+              {selectedBatch.total_jobs} 个任务
+            </p>
+          </div>
+          <div className="history-actions">
+            <button className="ghost" type="button" onClick={handleCloseBatch}>
+              返回列表
+            </button>
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => handleOpenBatch(selectedBatch.batch_id)}
+              disabled={batchDetailLoading || !token}
+            >
+              {batchDetailLoading ? "刷新中..." : "刷新"}
+            </button>
+          </div>
+        </div>
+        <BatchProgress counts={selectedBatch.counts} total={selectedBatch.total_tasks} />
+        {batchesError && <p className="error">{batchesError}</p>}
+        <div className="history-table">
+          <div className="history-table-header">
+            <div>序号</div>
+            <div>提示词</div>
+            <div>状态</div>
+            <div>操作</div>
+          </div>
+          {selectedBatch.jobs.map((job) => (
+            <div key={job.index} className="history-row">
+              <div className="task-id">#{job.index + 1}</div>
+              <div className="history-prompt">
+                <p className="prompt">{formatPrompt(job.job?.prompt)}</p>
+                <div className="task-meta-line">
+                  {job.job?.mode && <span className="chip">{job.job.mode}</span>}
+                  {job.tasks.map((task) => (
+                    <span key={task.localTaskId} className="task-id">
+                      {task.localTaskId}
+                    </span>
+                  ))}
+                </div>
+                {job.error && <span className="error">{job.error}</span>}
+                {(job.copy_errors || []).map((copyError) => (
+                  <span key={copyError.copy} className="error">
+                    副本 #{copyError.copy + 1} 创建失败: {copyError.error}
+                  </span>
+                ))}
+                {job.tasks
+                  .filter((task) => task.error)
+                  .map((task) => (
+                    <span key={task.localTaskId} className="error">
+                      {task.error}
+                    </span>
+                  ))}
+              </div>
+              <div>
+                {job.ok ? (
+                  job.tasks.map((task) => (
+                    <div key={task.localTaskId} className={`status status-${task.status}`}>
+                      {task.status === "missing"
+                        ? "已过期"
+                        : statusLabels[task.status] || task.status}
+                    </div>
+                  ))
+                ) : (
+                  <div className="status status-fail">提交失败</div>
+                )}
+              </div>
+              <div className="history-actions">
+                {job.tasks.map((task) => {
+                  const taskPreviewUrl = task.origin_video_url || task.video_url;
+                  return (
+                    <button
+                      key={task.localTaskId}
+                      className="secondary"
+                      type="button"
+                      onClick={() => setPreviewVideo(taskPreviewUrl)}
+                      disabled={!taskPreviewUrl}
+                    >
+                      预览
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="history-view">
+      <div className="history-header">
+        <div>
+          <h2>批量任务</h2>
+        </div>
+        <button
+          className="ghost"
+          type="button"
+          onClick={() => fetchBatches()}
+          disabled={batchesLoading || !token}
+        >
+          {batchesLoading ? "刷新中..." : "刷新"}
+        </button>
+      </div>
+      {batchesError && <p className="error">{batchesError}</p>}
+      {batches.length === 0 ? (
+        <p className="muted">暂无批量任务。</p>
+      ) : (
+        <div className="history-table">
+          <div className="history-table-header">
+            <div>批次</div>
+            <div>进度</div>
+            <div>状态</div>
+            <div>操作</div>
+          </div>
+          {batches.map((batch) => (
+            <div key={batch.batch_id} className="history-row">
+              <div className="task-id">{batch.batch_id}</div>
+              <div className="history-prompt">
+                <div className="task-meta-line">
+                  <span>{formatTimestamp(batch.createdAt)}</span>
+                  <span className="chip">{batch.total_jobs} 个任务</span>
+                  {batch.failed_jobs > 0 && (
+                    <span className="chip">提交失败 {batch.failed_jobs}</span>
+                  )}
+                </div>
+                <BatchProgress counts={batch.counts} total={batch.total_tasks} />
+              </div>
+              <div className={`status status-${batch.status === "done" ? "success" : "running"}`}>
+                {batchStatusLabels[batch.status] || batch.status}
+              </div>
+              <div className="history-actions">
+                <button
+                  className="secondary"
+                  type="button"
+                  onClick={() => handleOpenBatch(batch.batch_id)}
+                  disabled={!token}
+                >
+                  查看详情
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
 function GenerateView({
   form,
   handleSubmit,
@@ -235,6 +586,26 @@ function GenerateView({
   setBatchCount,
   error,
   batchResult,
+  handleOpenBatch,
+  importPreview,
+  importLoading,
+  handleImportFile,
+  handleConfirmImport,
+  handleClearImport,
+  templateMode,
+  handleToggleTemplateMode,
+  templates,
+  selectedTemplateId,
+  handleSelectTemplate,
+  templateVariables,
+  handleTemplateVariableChange,
+  templateExpansion,
+  setTemplateExpansion,
+  templatePreview,
+  templateLoading,
+  handleTemplatePreview,
+  handleSaveTemplate,
+  handleDeleteTemplate,
   loading,
   history,
   handleDownload,
@@ -243,14 +614,14 @@ function GenerateView({
   historyLoading,
   token,
   fetchHistory,
+  handleCancelTask,
   previewTask,
   simulatedProgress,
   imagePreviewUrl,
   setImagePreviewUrl,
   localImagePreviewUrl
 }) {
-  const isQueuedOrRunning =
-    previewTask && (previewTask.status === "queued" || previewTask.status === "running");
+  const isQueuedOrRunning = previewTask && isCancellable(previewTask.status);
   const statusLabel = previewTask ? statusLabels[previewTask.status] || previewTask.status : "";
   const recentHistory = history.slice(0, 10);
   const previewProgress = useMemo(() => {
@@ -262,6 +633,7 @@ function GenerateView({
   }, [isQueuedOrRunning, previewTask?.progress, simulatedProgress]);
   const modelOptions = videoModels[form.mode] || [];
   const isProVideoModel = form.model?.includes("-pro-");
+  const templatePlaceholders = getTemplatePlaceholders(form.prompt);
 
   return (
     <section className="generate-view">
@@ -418,6 +790,108 @@ function GenerateView({
           </div>
 
           {batchMode && (
+            <div className="batch-toggle">
+              <div>
+                <span className="toggle-title">使用提示词模板</span>
+              </div>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={templateMode}
+                  onChange={(event) => handleToggleTemplateMode(event.target.checked)}
+                />
+                <span className="slider" />
+              </label>
+            </div>
+          )}
+
+          {batchMode && templateMode && (
+            <div className="field">
+              <label htmlFor="template_select">已保存模板</label>
+              <select
+                id="template_select"
+                value={selectedTemplateId}
+                onChange={(event) => handleSelectTemplate(event.target.value)}
+              >
+                <option value="">不使用已保存模板</option>
+                {templates.map((template) => (
+                  <option key={template.templateId} value={template.templateId}>
+                    {template.name}
+                  </option>
+                ))}
+              </select>
+              <small className="helper">
+                在提示词中用 {"{变量名}"} 标记变量，下方每个变量每行填写一个取值。
+              </small>
+              {templatePlaceholders.length === 0 ? (
+                <p className="muted">提示词中还没有变量。</p>
+              ) : (
+                templatePlaceholders.map((name) => (
+                  <div className="field" key={name}>
+                    <label htmlFor={`template_var_${name}`}>{`{${name}}`}</label>
+                    <textarea
+                      id={`template_var_${name}`}
+                      rows={3}
+                      value={templateVariables[name] || ""}
+                      onChange={(event) => handleTemplateVariableChange(name, event.target.value)}
+                    />
+                  </div>
+                ))
+              )}
+              <label htmlFor="template_expansion">组合方式</label>
+              <select
+                id="template_expansion"
+                value={templateExpansion}
+                onChange={(event) => setTemplateExpansion(event.target.value)}
+              >
+                {templateExpansionOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <div className="history-actions">
+                <button
+                  className="secondary"
+                  type="button"
+                  onClick={handleTemplatePreview}
+                  disabled={templateLoading}
+                >
+                  预览展开结果
+                </button>
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={handleSaveTemplate}
+                  disabled={templateLoading}
+                >
+                  {selectedTemplateId ? "更新模板" : "保存为模板"}
+                </button>
+                {selectedTemplateId && (
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={handleDeleteTemplate}
+                    disabled={templateLoading}
+                  >
+                    删除模板
+                  </button>
+                )}
+              </div>
+              {templatePreview && (
+                <div className="batch-result">
+                  <p>共展开 {templatePreview.count} 条提示词：</p>
+                  <ul className="import-preview">
+                    {templatePreview.prompts.map((item, index) => (
+                      <li key={index}>{formatPrompt(item.prompt)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {batchMode && !templateMode && (
             <div className="field">
               <label htmlFor="batch_count">生成数量 (Batch Size)</label>
               <input
@@ -433,6 +907,62 @@ function GenerateView({
             </div>
           )}
 
+          {batchMode && (
+            <div className="field">
+              <label htmlFor="batch_import">从文件导入 (CSV / JSONL)</label>
+              <input
+                id="batch_import"
+                type="file"
+                accept=".csv,.jsonl,.json,text/csv"
+                onChange={handleImportFile}
+                disabled={importLoading || !token}
+              />
+              <small className="helper">
+                列名与接口字段一致（prompt、mode、image_url、image_urls、duration、aspect_ratio 等），
+                图片可填写链接或上传后的文件名，多个值用 | 分隔。
+              </small>
+            </div>
+          )}
+
+          {importPreview && (
+            <div className="batch-result">
+              <p>
+                {importPreview.fileName}：共 {importPreview.total} 行，可提交 {importPreview.valid}{" "}
+                行，错误 {importPreview.invalid} 行。
+              </p>
+              {importPreview.ignored_columns.length > 0 && (
+                <p className="muted">已忽略的列：{importPreview.ignored_columns.join("、")}</p>
+              )}
+              <ul className="import-preview">
+                {importPreview.rows.map((row) => (
+                  <li key={row.row}>
+                    第 {row.row} 行：
+                    {row.errors.length > 0 ? (
+                      <span className="error">{row.errors.join("；")}</span>
+                    ) : (
+                      <span>
+                        [{row.job.mode}] {formatPrompt(row.job.prompt)}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <div className="history-actions">
+                <button
+                  className="secondary"
+                  type="button"
+                  onClick={handleConfirmImport}
+                  disabled={loading || importPreview.valid === 0}
+                >
+                  确认提交 {importPreview.valid} 条
+                </button>
+                <button className="ghost" type="button" onClick={handleClearImport}>
+                  取消导入
+                </button>
+              </div>
+            </div>
+          )}
+
           {error && <p className="error">{error}</p>}
 
           {batchResult && (
@@ -450,6 +980,15 @@ function GenerateView({
                   ))}
                 </ul>
               )}
+              {batchResult.batchId && (
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={() => handleOpenBatch(batchResult.batchId)}
+                >
+                  查看批次详情
+                </button>
+              )}
             </div>
           )}
 
@@ -541,6 +1080,16 @@ function GenerateView({
                           >
                             {copiedPreviewPrompt ? "✅ 已复制" : "复制提示词"}
                           </button>
+                          {isCancellable(task.status) && (
+                            <button
+                              className="action-btn"
+                              type="button"
+                              onClick={() => handleCancelTask(task.localTaskId)}
+                              disabled={!token}
+                            >
+                              取消任务
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -579,6 +1128,7 @@ function ImageGenerateView({
   historyLoading,
   token,
   fetchHistory,
+  handleCancelTask,
   uploadRef,
   history
 }) {
@@ -840,6 +1390,18 @@ function ImageGenerateView({
                           {statusLabels[task.status] || task.status}
                         </span>
                       </div>
+                      {isCancellable(task.status) && (
+                        <div className="preview-actions">
+                          <button
+                            className="action-btn"
+                            type="button"
+                            onClick={() => handleCancelTask(task.localTaskId)}
+                            disabled={!token}
+                          >
+                            取消任务
+                          </button>
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))
@@ -857,6 +1419,8 @@ function ImageGenerateView({
 }
 
 function HistoryView({
+  currentUser,
+  isAdmin,
   history,
   historyLoading,
   token,
@@ -865,7 +1429,11 @@ function HistoryView({
   handleDownload,
   handleCopyPrompt,
   copiedPromptId,
-  handleDeleteTask
+  handleDeleteTask,
+  handleRetryDownload,
+  handleToggleKeep,
+  handleCancelTask,
+  handleRegenerate
 }) {
   return (
     <section className="history-view">
@@ -910,6 +1478,25 @@ function HistoryView({
                   <div className="task-meta-line">
                     <span>{formatTimestamp(task.createdAt)}</span>
                     <span className="chip">{task.mode}</span>
+                    {task.keep && <span className="chip">已保留</span>}
+                    {task.createdBy && (
+                      <span className="chip">
+                        {task.createdBy.username}
+                        {task.createdBy.apiKeyName ? ` · ${task.createdBy.apiKeyName}` : ""}
+                      </span>
+                    )}
+                    {task.templateVars && (
+                      <span className="chip">
+                        模板：{Object.values(task.templateVars).join(" / ")}
+                      </span>
+                    )}
+                    <QueueChips task={task} />
+                    {downloadStatusLabels[task.download_status] && (
+                      <span className="chip">
+                        {downloadStatusLabels[task.download_status]}
+                        {task.download_attempts > 1 ? ` (${task.download_attempts})` : ""}
+                      </span>
+                    )}
                   </div>
                   <SimulatedProgressRow status={task.status} />
                   {task.error && <span className="error">{task.error}</span>}
@@ -942,14 +1529,56 @@ function HistoryView({
                   >
                     {copiedPromptId === task.localTaskId ? "✅ 已复制" : "复制提示词"}
                   </button>
-                  <button
-                    className="btn-delete"
-                    type="button"
-                    onClick={() => handleDeleteTask(task.localTaskId)}
-                    disabled={!token}
-                  >
-                    删除
-                  </button>
+                  {canChangeTask(currentUser, task) && (
+                    <>
+                      {isCancellable(task.status) && (
+                        <button
+                          className="secondary"
+                          type="button"
+                          onClick={() => handleCancelTask(task.localTaskId)}
+                          disabled={!token}
+                        >
+                          取消任务
+                        </button>
+                      )}
+                      {terminalStatuses.has(task.status) && (
+                        <button
+                          className="secondary"
+                          type="button"
+                          onClick={() => handleRegenerate(task.localTaskId)}
+                          disabled={!token}
+                        >
+                          重新生成
+                        </button>
+                      )}
+                      {isAdmin && task.download_status === "failed" && (
+                        <button
+                          className="secondary"
+                          type="button"
+                          onClick={() => handleRetryDownload(task.localTaskId)}
+                          disabled={!token}
+                        >
+                          重新保存
+                        </button>
+                      )}
+                      <button
+                        className="secondary"
+                        type="button"
+                        onClick={() => handleToggleKeep(task.localTaskId, !task.keep)}
+                        disabled={!token}
+                      >
+                        {task.keep ? "取消保留" : "保留"}
+                      </button>
+                      <button
+                        className="btn-delete"
+                        type="button"
+                        onClick={() => handleDeleteTask(task.localTaskId)}
+                        disabled={!token}
+                      >
+                        删除
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             );
@@ -961,6 +1590,8 @@ function HistoryView({
 }
 
 function ImageHistoryView({
+  currentUser,
+  isAdmin,
   history,
   historyLoading,
   token,
@@ -968,7 +1599,11 @@ function ImageHistoryView({
   handleDownload,
   handleCopyPrompt,
   copiedPromptId,
-  handleDeleteTask
+  handleDeleteTask,
+  handleRetryDownload,
+  handleToggleKeep,
+  handleCancelTask,
+  handleRegenerate
 }) {
   return (
     <section className="history-view">
@@ -1011,6 +1646,20 @@ function ImageHistoryView({
                 <div className="task-meta-line">
                   <span>{formatTimestamp(task.createdAt)}</span>
                   <span className="chip">image</span>
+                  {task.keep && <span className="chip">已保留</span>}
+                  {task.createdBy && (
+                    <span className="chip">
+                      {task.createdBy.username}
+                      {task.createdBy.apiKeyName ? ` · ${task.createdBy.apiKeyName}` : ""}
+                    </span>
+                  )}
+                  <QueueChips task={task} />
+                  {downloadStatusLabels[task.download_status] && (
+                    <span className="chip">
+                      {downloadStatusLabels[task.download_status]}
+                      {task.download_attempts > 1 ? ` (${task.download_attempts})` : ""}
+                    </span>
+                  )}
                 </div>
                 <SimulatedProgressRow status={task.status} />
                 {task.error && <span className="error">{task.error}</span>}
@@ -1035,40 +1684,176 @@ function ImageHistoryView({
                 >
                   {copiedPromptId === task.localTaskId ? "✅ 已复制" : "复制提示词"}
                 </button>
-                <button
-                  className="btn-delete"
-                  type="button"
-                  onClick={() => handleDeleteTask(task.localTaskId)}
-                  disabled={!token}
-                >
-                  删除
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
-      )}
-    </section>
-  );
-}
-
-function AdminView({
-  adminUsername,
-  accountForm,
-  setAccountForm,
-  accountStatus,
+                {canChangeTask(currentUser, task) && (
+                  <>
+                    {isCancellable(task.status) && (
+                      <button
+                        className="secondary"
+                        type="button"
+                        onClick={() => handleCancelTask(task.localTaskId)}
+                        disabled={!token}
+                      >
+                        取消任务
+                      </button>
+                    )}
+                    {terminalStatuses.has(task.status) && (
+                      <button
+                        className="secondary"
+                        type="button"
+                        onClick={() => handleRegenerate(task.localTaskId)}
+                        disabled={!token}
+                      >
+                        重新生成
+                      </button>
+                    )}
+                    {isAdmin && task.download_status === "failed" && (
+                      <button
+                        className="secondary"
+                        type="button"
+                        onClick={() => handleRetryDownload(task.localTaskId)}
+                        disabled={!token}
+                      >
+                        重新保存
+                      </button>
+                    )}
+                    <button
+                      className="secondary"
+                      type="button"
+                      onClick={() => handleToggleKeep(task.localTaskId, !task.keep)}
+                      disabled={!token}
+                    >
+                      {task.keep ? "取消保留" : "保留"}
+                    </button>
+                    <button
+                      className="btn-delete"
+                      type="button"
+                      onClick={() => handleDeleteTask(task.localTaskId)}
+                      disabled={!token}
+                    >
+                      删除
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function PasswordChangeView({
+  currentUser,
+  accountForm,
+  setAccountForm,
+  accountStatus,
+  handleAccountSubmit,
+  handleLogout
+}) {
+  return (
+    <div className="login-screen">
+      <div className="login-card">
+        <div className="login-header">
+          <p className="eyebrow">YKF-AI</p>
+          <h1>修改默认密码</h1>
+          <p className="muted">
+            账号 <strong>{currentUser?.username}</strong> 仍在使用默认密码，请先设置新密码再继续使用。
+          </p>
+        </div>
+        <form className="login-form" onSubmit={handleAccountSubmit}>
+          <div className="field">
+            <label htmlFor="force_current_password">当前密码</label>
+            <input
+              id="force_current_password"
+              type="password"
+              value={accountForm.currentPassword}
+              onChange={(event) =>
+                setAccountForm((prev) => ({ ...prev, currentPassword: event.target.value }))
+              }
+              autoComplete="current-password"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor="force_new_password">新密码</label>
+            <input
+              id="force_new_password"
+              type="password"
+              value={accountForm.password}
+              onChange={(event) =>
+                setAccountForm((prev) => ({ ...prev, password: event.target.value }))
+              }
+              autoComplete="new-password"
+            />
+          </div>
+          {accountStatus.error && <p className="error">{accountStatus.error}</p>}
+          <button className="primary" type="submit" disabled={accountStatus.loading}>
+            {accountStatus.loading ? "更新中..." : "更新密码"}
+          </button>
+          <button className="ghost" type="button" onClick={handleLogout}>
+            退出登录
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function AdminView({
+  currentUser,
+  isAdmin,
+  accountForm,
+  setAccountForm,
+  accountStatus,
   handleAccountSubmit,
   uploads,
   uploadsLoading,
   uploadsError,
   fetchUploads,
-  handleDownload
+  handleDownload,
+  retention,
+  retentionLoading,
+  retentionError,
+  handleRunRetention,
+  webhooks,
+  webhookForm,
+  setWebhookForm,
+  webhookStatus,
+  fetchWebhooks,
+  handleCreateWebhook,
+  handleToggleWebhook,
+  handleDeleteWebhook,
+  handleReplayDelivery,
+  users,
+  userForm,
+  setUserForm,
+  userStatus,
+  fetchUsers,
+  handleCreateUser,
+  handleUpdateUser,
+  handleDeleteUser,
+  handleLogoutUser,
+  handleLogoutAll,
+  sessions,
+  sessionsStatus,
+  fetchSessions,
+  handleRevokeSession,
+  apiKeys,
+  apiKeyForm,
+  setApiKeyForm,
+  apiKeyStatus,
+  fetchApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey
 }) {
+  const retentionReport = retention?.lastReport;
   return (
     <section className="admin-view">
       <div className="panel-header">
-        <h1>管理后台</h1>
-        <p className="muted">管理管理员账号与近期上传图片。</p>
+        <h1>{isAdmin ? "管理后台" : "账号设置"}</h1>
+        <p className="muted">
+          {isAdmin ? "管理用户账号、近期上传图片与通知。" : "修改当前账号的用户名与密码。"}
+        </p>
       </div>
       <div className="admin-grid">
         <div className="admin-card admin-card--account">
@@ -1076,7 +1861,8 @@ function AdminView({
             <div>
               <h2>账号设置</h2>
               <p className="muted">
-                当前管理员账号：<strong>{adminUsername || "-"}</strong>
+                当前账号：<strong>{currentUser?.username || "-"}</strong>
+                {currentUser?.role && `（${userRoleLabels[currentUser.role] || currentUser.role}）`}
               </p>
             </div>
           </div>
@@ -1130,52 +1916,487 @@ function AdminView({
               {accountStatus.loading ? "更新中..." : "更新账号"}
             </button>
           </form>
+          {currentUser?.userId && (
+            <button className="ghost" type="button" onClick={handleLogoutAll}>
+              退出所有设备
+            </button>
+          )}
         </div>
 
-        <div className="admin-card admin-card--uploads">
-          <div className="admin-card-header">
-            <div>
-              <h2>近期上传图片</h2>
-              <p className="muted">可下载最近上传的参考图。</p>
+        {isAdmin && (
+          <>
+          <div className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <h2>用户管理</h2>
+                <p className="muted">只读用户只能查看记录，创作者只能操作自己创建的任务。</p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={() => fetchUsers()}
+                disabled={userStatus.loading}
+              >
+                刷新
+              </button>
             </div>
-            <button
-              className="ghost"
-              type="button"
-              onClick={() => fetchUploads()}
-              disabled={uploadsLoading}
-            >
-              {uploadsLoading ? "加载中..." : "刷新"}
-            </button>
-          </div>
-          {uploadsError && <p className="error">{uploadsError}</p>}
-          {uploads.length === 0 ? (
-            <p className="muted">暂无上传图片。</p>
-          ) : (
+            <form className="form" onSubmit={handleCreateUser}>
+              <div className="field">
+                <label htmlFor="user_username">用户名</label>
+                <input
+                  id="user_username"
+                  value={userForm.username}
+                  onChange={(event) =>
+                    setUserForm((prev) => ({ ...prev, username: event.target.value }))
+                  }
+                  autoComplete="off"
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="user_password">初始密码</label>
+                <input
+                  id="user_password"
+                  type="password"
+                  value={userForm.password}
+                  onChange={(event) =>
+                    setUserForm((prev) => ({ ...prev, password: event.target.value }))
+                  }
+                  autoComplete="new-password"
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="user_role">角色</label>
+                <select
+                  id="user_role"
+                  value={userForm.role}
+                  onChange={(event) =>
+                    setUserForm((prev) => ({ ...prev, role: event.target.value }))
+                  }
+                >
+                  {Object.entries(userRoleLabels).map(([role, label]) => (
+                    <option key={role} value={role}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {userStatus.error && <p className="error">{userStatus.error}</p>}
+              <button className="primary" type="submit" disabled={userStatus.loading}>
+                添加用户
+              </button>
+            </form>
             <div className="upload-list">
-              {uploads.map((upload) => (
-                <div key={upload.filename} className="upload-card">
-                  <div className="upload-thumb">
-                    <img src={upload.url} alt={upload.filename} loading="lazy" />
+              {users.map((user) => (
+                <div key={user.userId} className="upload-sub">
+                  <span>
+                    {user.username}
+                    {user.userId === currentUser?.userId ? "（当前）" : ""}
+                  </span>
+                  <select
+                    value={user.role}
+                    onChange={(event) => handleUpdateUser(user, { role: event.target.value })}
+                  >
+                    {Object.entries(userRoleLabels).map(([role, label]) => (
+                      <option key={role} value={role}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <span>{user.disabled ? "已停用" : formatTimestamp(user.createdAt)}</span>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => handleUpdateUser(user, { disabled: !user.disabled })}
+                  >
+                    {user.disabled ? "启用" : "停用"}
+                  </button>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => handleLogoutUser(user)}
+                  >
+                    强制下线
+                  </button>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => handleDeleteUser(user)}
+                  >
+                    删除
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <h2>API 密钥</h2>
+                <p className="muted">供脚本通过 X-APP-TOKEN 调用接口，权限不超过所属用户的角色。</p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={() => fetchApiKeys()}
+                disabled={apiKeyStatus.loading}
+              >
+                刷新
+              </button>
+            </div>
+            <form className="form" onSubmit={handleCreateApiKey}>
+              <div className="field">
+                <label htmlFor="api_key_name">名称</label>
+                <input
+                  id="api_key_name"
+                  placeholder="nightly-import"
+                  value={apiKeyForm.name}
+                  onChange={(event) =>
+                    setApiKeyForm((prev) => ({ ...prev, name: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="api_key_user">所属用户</label>
+                <select
+                  id="api_key_user"
+                  value={apiKeyForm.userId}
+                  onChange={(event) =>
+                    setApiKeyForm((prev) => ({ ...prev, userId: event.target.value }))
+                  }
+                >
+                  <option value="">当前账号</option>
+                  {users.map((user) => (
+                    <option key={user.userId} value={user.userId}>
+                      {user.username}（{userRoleLabels[user.role] || user.role}）
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label htmlFor="api_key_expires">有效天数（留空为永久）</label>
+                <input
+                  id="api_key_expires"
+                  type="number"
+                  min="1"
+                  value={apiKeyForm.expiresInDays}
+                  onChange={(event) =>
+                    setApiKeyForm((prev) => ({ ...prev, expiresInDays: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="webhook-events">
+                {Object.entries(apiKeyScopeLabels).map(([scope, label]) => (
+                  <label key={scope}>
+                    <input
+                      type="checkbox"
+                      checked={apiKeyForm.scopes.includes(scope)}
+                      onChange={(changeEvent) =>
+                        setApiKeyForm((prev) => ({
+                          ...prev,
+                          scopes: changeEvent.target.checked
+                            ? [...prev.scopes, scope]
+                            : prev.scopes.filter((item) => item !== scope)
+                        }))
+                      }
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {apiKeyStatus.error && <p className="error">{apiKeyStatus.error}</p>}
+              {apiKeyStatus.createdKey && (
+                <p className="notice">
+                  新密钥仅显示这一次，请立即保存：<code>{apiKeyStatus.createdKey}</code>
+                </p>
+              )}
+              <button className="primary" type="submit" disabled={apiKeyStatus.loading}>
+                创建密钥
+              </button>
+            </form>
+            {apiKeys.length === 0 ? (
+              <p className="muted">暂无 API 密钥。</p>
+            ) : (
+              <div className="upload-list">
+                {apiKeys.map((apiKey) => (
+                  <div key={apiKey.keyId} className="upload-sub">
+                    <span>
+                      {apiKey.name} <code>{apiKey.prefix}…</code>
+                    </span>
+                    <span>{apiKey.username || "-"}</span>
+                    <span>
+                      {apiKey.scopes.map((scope) => apiKeyScopeLabels[scope] || scope).join("、")}
+                    </span>
+                    <span>
+                      {apiKey.revokedAt
+                        ? "已撤销"
+                        : apiKey.active
+                          ? `过期：${apiKey.expiresAt ? formatTimestamp(apiKey.expiresAt) : "永久"}`
+                          : "已过期"}
+                    </span>
+                    <span>
+                      最近使用：{apiKey.lastUsedAt ? formatTimestamp(apiKey.lastUsedAt) : "从未"}
+                    </span>
+                    {!apiKey.revokedAt && (
+                      <button
+                        className="ghost"
+                        type="button"
+                        onClick={() => handleRevokeApiKey(apiKey)}
+                      >
+                        撤销
+                      </button>
+                    )}
                   </div>
-                  <div className="upload-meta">
-                    <div className="upload-name">{upload.filename}</div>
-                    <div className="upload-sub">
-                      <span>{formatBytes(upload.size)}</span>
-                      <span>{formatTimestamp(upload.uploadedAt)}</span>
-                    </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <h2>登录会话</h2>
+                <p className="muted">会话在最后一次使用后自动过期，注销后令牌立即失效。</p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={() => fetchSessions()}
+                disabled={sessionsStatus.loading}
+              >
+                刷新
+              </button>
+            </div>
+            {sessionsStatus.error && <p className="error">{sessionsStatus.error}</p>}
+            {sessions.length === 0 ? (
+              <p className="muted">暂无活跃会话。</p>
+            ) : (
+              <div className="upload-list">
+                {sessions.map((session) => (
+                  <div key={session.sessionId} className="upload-sub">
+                    <span>
+                      {session.username}
+                      {session.current ? "（当前）" : ""}
+                    </span>
+                    <span>{session.ip || "-"}</span>
+                    <span title={session.userAgent}>{formatTimestamp(session.lastSeenAt)}</span>
+                    <span>过期：{formatTimestamp(session.expiresAt)}</span>
                     <button
+                      className="ghost"
                       type="button"
-                      className="secondary"
-                      onClick={() => handleDownload(upload.url)}
+                      onClick={() => handleRevokeSession(session)}
                     >
-                      下载图片
+                      注销
                     </button>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="admin-card admin-card--uploads">
+            <div className="admin-card-header">
+              <div>
+                <h2>近期上传图片</h2>
+                <p className="muted">可下载最近上传的参考图。</p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={() => fetchUploads()}
+                disabled={uploadsLoading}
+              >
+                {uploadsLoading ? "加载中..." : "刷新"}
+              </button>
             </div>
-          )}
-        </div>
+            {uploadsError && <p className="error">{uploadsError}</p>}
+            {uploads.length === 0 ? (
+              <p className="muted">暂无上传图片。</p>
+            ) : (
+              <div className="upload-list">
+                {uploads.map((upload) => (
+                  <div key={upload.filename} className="upload-card">
+                    <div className="upload-thumb">
+                      <img src={upload.url} alt={upload.filename} loading="lazy" />
+                    </div>
+                    <div className="upload-meta">
+                      <div className="upload-name">{upload.filename}</div>
+                      <div className="upload-sub">
+                        <span>{formatBytes(upload.size)}</span>
+                        <span>{formatTimestamp(upload.uploadedAt)}</span>
+                      </div>
+                      <button
+                        type="button"
+                        className="secondary"
+                        onClick={() => handleDownload(upload.url)}
+                      >
+                        下载图片
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <h2>存储清理</h2>
+                <p className="muted">
+                  本地视频与图片保留{" "}
+                  {retention ? Math.round(retention.retentionSeconds / 86400) : "-"}{" "}
+                  天，过期或无对应任务的文件会被自动删除。
+                </p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={handleRunRetention}
+                disabled={retentionLoading}
+              >
+                {retentionLoading ? "清理中..." : "立即清理"}
+              </button>
+            </div>
+            {retentionError && <p className="error">{retentionError}</p>}
+            {retentionReport ? (
+              <>
+                <p className="muted">
+                  上次清理：{formatTimestamp(retentionReport.finishedAt)}，删除{" "}
+                  {retentionReport.removedCount} 个文件，释放{" "}
+                  {formatBytes(retentionReport.freedBytes)}。
+                </p>
+                {retentionReport.removed?.length > 0 && (
+                  <div className="upload-list">
+                    {retentionReport.removed.map((item) => (
+                      <div key={item.file} className="upload-sub">
+                        <span>{item.file}</span>
+                        <span>{item.reason}</span>
+                        <span>{formatBytes(item.size)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="muted">暂无清理记录。</p>
+            )}
+          </div>
+
+          <div className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <h2>Webhook 通知</h2>
+                <p className="muted">任务结束或本地保存完成时向以下地址推送签名事件。</p>
+              </div>
+              <button
+                className="ghost"
+                type="button"
+                onClick={() => fetchWebhooks()}
+                disabled={webhookStatus.loading}
+              >
+                刷新
+              </button>
+            </div>
+            {webhooks.secret && (
+              <p className="muted">
+                签名密钥：<code>{webhooks.secret}</code>
+              </p>
+            )}
+            <form className="form" onSubmit={handleCreateWebhook}>
+              <div className="field">
+                <label htmlFor="webhook_url">回调地址</label>
+                <input
+                  id="webhook_url"
+                  type="url"
+                  placeholder="https://cms.example.com/hooks/ai-video"
+                  value={webhookForm.url}
+                  onChange={(event) =>
+                    setWebhookForm((prev) => ({ ...prev, url: event.target.value }))
+                  }
+                />
+              </div>
+              <div className="webhook-events">
+                {Object.entries(webhookEventLabels).map(([event, label]) => (
+                  <label key={event}>
+                    <input
+                      type="checkbox"
+                      checked={webhookForm.events.includes(event)}
+                      onChange={(changeEvent) =>
+                        setWebhookForm((prev) => ({
+                          ...prev,
+                          events: changeEvent.target.checked
+                            ? [...prev.events, event]
+                            : prev.events.filter((item) => item !== event)
+                        }))
+                      }
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {webhookStatus.error && <p className="error">{webhookStatus.error}</p>}
+              <button className="primary" type="submit" disabled={webhookStatus.loading}>
+                添加 Webhook
+              </button>
+            </form>
+            {webhooks.items.length === 0 ? (
+              <p className="muted">暂无全局 Webhook。</p>
+            ) : (
+              <div className="upload-list">
+                {webhooks.items.map((webhook) => (
+                  <div key={webhook.webhookId} className="upload-sub">
+                    <span>{webhook.url}</span>
+                    <span>
+                      {webhook.events.map((event) => webhookEventLabels[event] || event).join("、")}
+                    </span>
+                    <button
+                      className="ghost"
+                      type="button"
+                      onClick={() => handleToggleWebhook(webhook)}
+                    >
+                      {webhook.enabled ? "停用" : "启用"}
+                    </button>
+                    <button
+                      className="ghost"
+                      type="button"
+                      onClick={() => handleDeleteWebhook(webhook.webhookId)}
+                    >
+                      删除
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <h3>投递记录</h3>
+            {webhooks.deliveries.length === 0 ? (
+              <p className="muted">暂无投递记录。</p>
+            ) : (
+              <div className="upload-list">
+                {webhooks.deliveries.map((delivery) => (
+                  <div key={delivery.deliveryId} className="upload-sub">
+                    <span>{formatTimestamp(delivery.createdAt)}</span>
+                    <span>{webhookEventLabels[delivery.event?.type] || delivery.event?.type}</span>
+                    <span>{delivery.event?.data?.task?.localTaskId}</span>
+                    <span>{delivery.url}</span>
+                    <span>
+                      {deliveryStatusLabels[delivery.status] || delivery.status}（{delivery.attempts}{" "}
+                      次{delivery.lastError ? `，${delivery.lastError}` : ""}）
+                    </span>
+                    <button
+                      className="ghost"
+                      type="button"
+                      onClick={() => handleReplayDelivery(delivery.deliveryId)}
+                    >
+                      重新发送
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          </>
+        )}
       </div>
     </section>
   );
@@ -1188,7 +2409,22 @@ export default function App() {
   const [batchMode, setBatchMode] = useState(false);
   const [batchCount, setBatchCount] = useState(1);
   const [batchResult, setBatchResult] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importLoading, setImportLoading] = useState(false);
+  const [templateMode, setTemplateMode] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState("");
+  const [templateVariables, setTemplateVariables] = useState({});
+  const [templateExpansion, setTemplateExpansion] = useState("cartesian");
+  const [templatePreview, setTemplatePreview] = useState(null);
+  const [templateLoading, setTemplateLoading] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [batchesLoading, setBatchesLoading] = useState(false);
+  const [batchesError, setBatchesError] = useState("");
+  const [selectedBatch, setSelectedBatch] = useState(null);
+  const [batchDetailLoading, setBatchDetailLoading] = useState(false);
   const [token, setToken] = useState(() => localStorage.getItem("app_token") || "");
+  const [liveUpdates, setLiveUpdates] = useState(false);
   const [history, setHistory] = useState([]);
   const [imageHistory, setImageHistory] = useState([]);
   const [currentTask, setCurrentTask] = useState(null);
@@ -1215,7 +2451,24 @@ export default function App() {
     message: "",
     fileName: ""
   });
-  const [adminUsername, setAdminUsername] = useState("");
+  const [currentUser, setCurrentUser] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [userForm, setUserForm] = useState({ username: "", password: "", role: "creator" });
+  const [userStatus, setUserStatus] = useState({ loading: false, error: "" });
+  const [sessions, setSessions] = useState([]);
+  const [sessionsStatus, setSessionsStatus] = useState({ loading: false, error: "" });
+  const [apiKeys, setApiKeys] = useState([]);
+  const [apiKeyForm, setApiKeyForm] = useState({
+    name: "",
+    userId: "",
+    expiresInDays: "",
+    scopes: ["read", "create"]
+  });
+  const [apiKeyStatus, setApiKeyStatus] = useState({
+    loading: false,
+    error: "",
+    createdKey: ""
+  });
   const [accountForm, setAccountForm] = useState({
     currentPassword: "",
     username: "",
@@ -1229,12 +2482,25 @@ export default function App() {
   const [uploads, setUploads] = useState([]);
   const [uploadsLoading, setUploadsLoading] = useState(false);
   const [uploadsError, setUploadsError] = useState("");
+  const [retention, setRetention] = useState(null);
+  const [retentionLoading, setRetentionLoading] = useState(false);
+  const [retentionError, setRetentionError] = useState("");
+  const [webhooks, setWebhooks] = useState({ items: [], deliveries: [], secret: "" });
+  const [webhookForm, setWebhookForm] = useState({
+    url: "",
+    events: ["task.success", "task.fail"]
+  });
+  const [webhookStatus, setWebhookStatus] = useState({ loading: false, error: "" });
   const [imagePreviewUrl, setImagePreviewUrl] = useState("");
   const [localImagePreviewUrl, setLocalImagePreviewUrl] = useState("");
   const imageUploadRef = useRef(null);
   const imageAssetUploadRef = useRef(null);
   const copiedPromptTimeoutRef = useRef(null);
   const copiedPreviewTimeoutRef = useRef(null);
+  // One Idempotency-Key per pending submission: it is kept when the request
+  // never got a response (e.g. a network timeout), so clicking submit again
+  // replays the original request instead of creating duplicate tasks.
+  const submitKeysRef = useRef({});
   const copiedImagePromptTimeoutRef = useRef(null);
   const copiedImagePreviewTimeoutRef = useRef(null);
 
@@ -1317,24 +2583,90 @@ export default function App() {
     [token]
   );
 
-  const fetchAdminAccount = useCallback(async () => {
+  const fetchAccount = useCallback(async () => {
     if (!token) {
       return;
     }
     try {
-      const response = await fetch("/api/admin/account", {
+      const response = await fetch("/api/account", {
         headers: { "X-APP-TOKEN": token }
       });
+      if (response.status === 401) {
+        localStorage.removeItem("app_token");
+        setToken("");
+        return;
+      }
       if (!response.ok) {
         return;
       }
       const data = await response.json();
-      setAdminUsername(data.username || "");
+      setCurrentUser(data);
     } catch (err) {
       return;
     }
   }, [token]);
 
+  const fetchSessions = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    setSessionsStatus({ loading: true, error: "" });
+    try {
+      const response = await fetch("/api/admin/sessions", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载会话失败");
+      }
+      const data = await response.json();
+      setSessions(data.sessions || []);
+      setSessionsStatus({ loading: false, error: "" });
+    } catch (err) {
+      setSessionsStatus({ loading: false, error: err.message || "加载会话失败" });
+    }
+  }, [token]);
+
+  const fetchApiKeys = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const response = await fetch("/api/admin/api_keys", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载 API 密钥失败");
+      }
+      const data = await response.json();
+      setApiKeys(data.apiKeys || []);
+      setApiKeyStatus((prev) => ({ ...prev, error: "" }));
+    } catch (err) {
+      setApiKeyStatus((prev) => ({ ...prev, error: err.message || "加载 API 密钥失败" }));
+    }
+  }, [token]);
+
+  const fetchUsers = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const response = await fetch("/api/admin/users", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载用户失败");
+      }
+      const data = await response.json();
+      setUsers(data.users || []);
+      setUserStatus((prev) => ({ ...prev, error: "" }));
+    } catch (err) {
+      setUserStatus((prev) => ({ ...prev, error: err.message || "加载用户失败" }));
+    }
+  }, [token]);
+
   const fetchUploads = useCallback(
     async (silent = false) => {
       if (!token) {
@@ -1367,21 +2699,151 @@ export default function App() {
     [token]
   );
 
+  const fetchRetention = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const response = await fetch("/api/admin/retention", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载清理记录失败");
+      }
+      const data = await response.json();
+      setRetention(data);
+      setRetentionError("");
+    } catch (err) {
+      setRetentionError(err.message || "加载清理记录失败");
+    }
+  }, [token]);
+
+  const fetchWebhooks = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const [webhooksResponse, deliveriesResponse] = await Promise.all([
+        fetch("/api/admin/webhooks", { headers: { "X-APP-TOKEN": token } }),
+        fetch("/api/admin/webhooks/deliveries", { headers: { "X-APP-TOKEN": token } })
+      ]);
+      if (!webhooksResponse.ok || !deliveriesResponse.ok) {
+        throw new Error("加载 Webhook 失败");
+      }
+      const webhookData = await webhooksResponse.json();
+      const deliveryData = await deliveriesResponse.json();
+      setWebhooks({
+        items: webhookData.webhooks || [],
+        deliveries: deliveryData.deliveries || [],
+        secret: webhookData.secret || ""
+      });
+      setWebhookStatus((prev) => ({ ...prev, error: "" }));
+    } catch (err) {
+      setWebhookStatus((prev) => ({ ...prev, error: err.message || "加载 Webhook 失败" }));
+    }
+  }, [token]);
+
+  const fetchTemplates = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    try {
+      const response = await fetch("/api/templates", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载模板失败");
+      }
+      const data = await response.json();
+      setTemplates(data.templates || []);
+    } catch (err) {
+      setError(err.message || "加载模板失败");
+    }
+  }, [token]);
+
+  const fetchBatches = useCallback(async () => {
+    if (!token) {
+      return;
+    }
+    setBatchesLoading(true);
+    try {
+      const response = await fetch("/api/batches", {
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "加载批量任务失败");
+      }
+      const data = await response.json();
+      setBatches(data.batches || []);
+      setBatchesError("");
+    } catch (err) {
+      setBatchesError(err.message || "加载批量任务失败");
+    } finally {
+      setBatchesLoading(false);
+    }
+  }, [token]);
+
+  const fetchBatchDetail = useCallback(
+    async (batchId) => {
+      if (!token || !batchId) {
+        return;
+      }
+      setBatchDetailLoading(true);
+      try {
+        const response = await fetch(`/api/batches/${batchId}`, {
+          headers: { "X-APP-TOKEN": token }
+        });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || "加载批次详情失败");
+        }
+        const data = await response.json();
+        setSelectedBatch(data);
+        setBatchesError("");
+      } catch (err) {
+        setBatchesError(err.message || "加载批次详情失败");
+      } finally {
+        setBatchDetailLoading(false);
+      }
+    },
+    [token]
+  );
+
   useEffect(() => {
     fetchHistory();
   }, [fetchHistory]);
 
+  useEffect(() => {
+    if (activeTab !== "batches" || selectedBatch?.status !== "running") {
+      return undefined;
+    }
+    const batchId = selectedBatch.batch_id;
+    const interval = setInterval(() => {
+      fetchBatchDetail(batchId);
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [activeTab, selectedBatch, fetchBatchDetail]);
+
   useEffect(() => {
     fetchImageHistory();
   }, [fetchImageHistory]);
 
   useEffect(() => {
-    fetchAdminAccount();
-  }, [fetchAdminAccount]);
+    fetchAccount();
+  }, [fetchAccount]);
+
+  useEffect(() => {
+    if (currentUser?.role === "viewer" && (activeTab === "generate" || activeTab === "image")) {
+      setActiveTab("history");
+    }
+  }, [currentUser, activeTab]);
 
   useEffect(() => {
     const status = currentTask?.status;
-    const isActiveStatus = status === "running" || status === "queued";
+    const isActiveStatus = status === "running" || status === "queued" || status === "pending";
     if (!status) {
       setSimulatedProgress(0);
       return undefined;
@@ -1441,8 +2903,67 @@ export default function App() {
     };
   }, [localImagePreviewUrl]);
 
+  // Task updates are pushed over /api/events. It is read with fetch rather
+  // than EventSource so the token stays in a header instead of the URL. While
+  // the stream is down the polling effects below take over, and every
+  // (re)connect reloads both lists to pick up what was missed.
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    let retryTimeout = null;
+
+    const handleTaskEvent = ({ kind, task }) => {
+      if (!task?.localTaskId) {
+        return;
+      }
+      if (kind === "image") {
+        setImageHistory((prev) => mergeTaskEvent(prev, task));
+      } else {
+        setHistory((prev) => mergeTaskEvent(prev, task));
+      }
+    };
+
+    const connect = async () => {
+      try {
+        const response = await fetch("/api/events", {
+          headers: { "X-APP-TOKEN": token },
+          signal: controller.signal
+        });
+        if (response.status === 401) {
+          localStorage.removeItem("app_token");
+          setToken("");
+          return;
+        }
+        if (!response.ok || !response.body) {
+          throw new Error("实时更新不可用");
+        }
+        setLiveUpdates(true);
+        fetchHistory(true);
+        fetchImageHistory(true);
+        await readEventStream(response, handleTaskEvent);
+      } catch (err) {
+        if (controller.signal.aborted) {
+          return;
+        }
+      }
+      setLiveUpdates(false);
+      if (!controller.signal.aborted) {
+        retryTimeout = setTimeout(connect, 5000);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimeout);
+      setLiveUpdates(false);
+    };
+  }, [token, fetchHistory, fetchImageHistory]);
+
   useEffect(() => {
-    if (!shouldPoll) {
+    if (!shouldPoll || liveUpdates) {
       return undefined;
     }
 
@@ -1451,10 +2972,10 @@ export default function App() {
     }, 5000);
 
     return () => clearInterval(interval);
-  }, [fetchHistory, shouldPoll]);
+  }, [fetchHistory, shouldPoll, liveUpdates]);
 
   useEffect(() => {
-    if (!shouldPollImages) {
+    if (!shouldPollImages || liveUpdates) {
       return undefined;
     }
 
@@ -1463,7 +2984,7 @@ export default function App() {
     }, 5000);
 
     return () => clearInterval(interval);
-  }, [fetchImageHistory, shouldPollImages]);
+  }, [fetchImageHistory, shouldPollImages, liveUpdates]);
 
   const pollTaskStatus = useCallback(
     async (taskId) => {
@@ -1517,7 +3038,7 @@ export default function App() {
   );
 
   useEffect(() => {
-    if (!currentTask || terminalStatuses.has(currentTask.status)) {
+    if (!currentTask || terminalStatuses.has(currentTask.status) || liveUpdates) {
       return;
     }
 
@@ -1527,7 +3048,7 @@ export default function App() {
     }, 5000);
 
     return () => clearInterval(interval);
-  }, [currentTask, pollTaskStatus]);
+  }, [currentTask, pollTaskStatus, liveUpdates]);
 
   const getDefaultModelForMode = useCallback((mode, preferPro) => {
     if (preferPro) {
@@ -1651,101 +3172,590 @@ export default function App() {
           setCopiedImagePromptId(null);
         }, 2000);
       },
-      setImageError
+      setImageError
+    );
+  };
+
+  const handleCopyImagePreviewPrompt = async (prompt) => {
+    if (!prompt) {
+      return;
+    }
+    await handleCopy(
+      prompt,
+      () => {
+        setCopiedImagePreviewPrompt(true);
+        if (copiedImagePreviewTimeoutRef.current) {
+          clearTimeout(copiedImagePreviewTimeoutRef.current);
+        }
+        copiedImagePreviewTimeoutRef.current = setTimeout(() => {
+          setCopiedImagePreviewPrompt(false);
+        }, 2000);
+      },
+      setImageError
+    );
+  };
+
+  const handleDeleteTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    if (!window.confirm("确定要删除这条记录吗？")) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch(`/api/tasks/${taskId}`, {
+        method: "DELETE",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "删除失败");
+      }
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "删除失败");
+    }
+  };
+
+  const handleRetryDownload = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch(`/api/admin/tasks/${taskId}/download`, {
+        method: "POST",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "重新保存失败");
+      }
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "重新保存失败");
+    }
+  };
+
+  const handleRetryImageDownload = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setImageError("");
+    try {
+      const response = await fetch(`/api/admin/image/tasks/${taskId}/download`, {
+        method: "POST",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "重新保存失败");
+      }
+      await fetchImageHistory();
+    } catch (err) {
+      setImageError(err.message || "重新保存失败");
+    }
+  };
+
+  const handleCancelTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    if (!window.confirm("确定要取消这个任务吗？")) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch("/api/video/cancel", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({ task_id: taskId })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "取消失败");
+      }
+      setCurrentTask((prev) =>
+        prev && prev.localTaskId === taskId ? { ...prev, status: "cancelled" } : prev
+      );
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "取消失败");
+    }
+  };
+
+  const handleCancelImageTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    if (!window.confirm("确定要取消这个任务吗？")) {
+      return;
+    }
+    setImageError("");
+    try {
+      const response = await fetch("/api/image/cancel", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({ task_id: taskId })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "取消失败");
+      }
+      await fetchImageHistory();
+    } catch (err) {
+      setImageError(err.message || "取消失败");
+    }
+  };
+
+  const handleRegenerateTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch(`/api/video/tasks/${taskId}/retry`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({})
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "重新生成失败");
+      }
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "重新生成失败");
+    }
+  };
+
+  const handleRegenerateImageTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setImageError("");
+    try {
+      const response = await fetch(`/api/image/tasks/${taskId}/retry`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({})
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "重新生成失败");
+      }
+      await fetchImageHistory();
+    } catch (err) {
+      setImageError(err.message || "重新生成失败");
+    }
+  };
+
+  const handleToggleKeep = async (taskId, keep) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await fetch(`/api/tasks/${taskId}/keep`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({ keep })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "操作失败");
+      }
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "操作失败");
+    }
+  };
+
+  const handleToggleImageKeep = async (taskId, keep) => {
+    if (!taskId || !token) {
+      return;
+    }
+    setImageError("");
+    try {
+      const response = await fetch(`/api/image/tasks/${taskId}/keep`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({ keep })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "操作失败");
+      }
+      await fetchImageHistory();
+    } catch (err) {
+      setImageError(err.message || "操作失败");
+    }
+  };
+
+  const handleDeleteImageTask = async (taskId) => {
+    if (!taskId || !token) {
+      return;
+    }
+    if (!window.confirm("确定要删除这条图片记录吗？")) {
+      return;
+    }
+    setImageError("");
+    try {
+      const response = await fetch(`/api/image/tasks/${taskId}`, {
+        method: "DELETE",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "删除失败");
+      }
+      await fetchImageHistory();
+    } catch (err) {
+      setImageError(err.message || "删除失败");
+    }
+  };
+
+  const handleDownload = (url) => {
+    if (!url) {
+      return;
+    }
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "";
+    link.rel = "noreferrer";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  const handleOpenBatch = (batchId) => {
+    setActiveTab("batches");
+    fetchBatchDetail(batchId);
+  };
+
+  const handleCloseBatch = () => {
+    setSelectedBatch(null);
+    fetchBatches();
+  };
+
+  const sendWebhookRequest = async (url, options, fallbackError) => {
+    setWebhookStatus({ loading: true, error: "" });
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { "X-APP-TOKEN": token } : {})
+        }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || fallbackError);
+      }
+      await fetchWebhooks();
+      setWebhookStatus({ loading: false, error: "" });
+      return true;
+    } catch (err) {
+      setWebhookStatus({ loading: false, error: err.message || fallbackError });
+      return false;
+    }
+  };
+
+  const handleCreateWebhook = async (event) => {
+    event.preventDefault();
+    if (!webhookForm.url.trim()) {
+      setWebhookStatus({ loading: false, error: "请输入回调地址。" });
+      return;
+    }
+    const created = await sendWebhookRequest(
+      "/api/admin/webhooks",
+      {
+        method: "POST",
+        body: JSON.stringify({ url: webhookForm.url.trim(), events: webhookForm.events })
+      },
+      "添加 Webhook 失败"
+    );
+    if (created) {
+      setWebhookForm((prev) => ({ ...prev, url: "" }));
+    }
+  };
+
+  const handleToggleWebhook = (webhook) =>
+    sendWebhookRequest(
+      `/api/admin/webhooks/${webhook.webhookId}`,
+      { method: "PUT", body: JSON.stringify({ enabled: !webhook.enabled }) },
+      "更新 Webhook 失败"
+    );
+
+  const handleDeleteWebhook = (webhookId) => {
+    if (!window.confirm("确定删除该 Webhook 吗？")) {
+      return;
+    }
+    sendWebhookRequest(
+      `/api/admin/webhooks/${webhookId}`,
+      { method: "DELETE" },
+      "删除 Webhook 失败"
+    );
+  };
+
+  const handleReplayDelivery = (deliveryId) =>
+    sendWebhookRequest(
+      `/api/admin/webhooks/deliveries/${deliveryId}/replay`,
+      { method: "POST" },
+      "重新发送失败"
+    );
+
+  const sendUserRequest = async (url, options, fallbackError) => {
+    setUserStatus({ loading: true, error: "" });
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { "X-APP-TOKEN": token } : {})
+        }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || fallbackError);
+      }
+      await fetchUsers();
+      setUserStatus({ loading: false, error: "" });
+      return true;
+    } catch (err) {
+      setUserStatus({ loading: false, error: err.message || fallbackError });
+      return false;
+    }
+  };
+
+  const handleCreateUser = async (event) => {
+    event.preventDefault();
+    if (!userForm.username.trim() || !userForm.password.trim()) {
+      setUserStatus({ loading: false, error: "请输入用户名和初始密码。" });
+      return;
+    }
+    const created = await sendUserRequest(
+      "/api/admin/users",
+      {
+        method: "POST",
+        body: JSON.stringify({
+          username: userForm.username.trim(),
+          password: userForm.password,
+          role: userForm.role
+        })
+      },
+      "添加用户失败"
     );
+    if (created) {
+      setUserForm((prev) => ({ ...prev, username: "", password: "" }));
+    }
   };
 
-  const handleCopyImagePreviewPrompt = async (prompt) => {
-    if (!prompt) {
+  const handleUpdateUser = (user, changes) =>
+    sendUserRequest(
+      `/api/admin/users/${user.userId}`,
+      { method: "PUT", body: JSON.stringify(changes) },
+      "更新用户失败"
+    );
+
+  const handleLogoutUser = async (user) => {
+    if (!window.confirm(`确定让用户 ${user.username} 的所有会话下线吗？`)) {
       return;
     }
-    await handleCopy(
-      prompt,
-      () => {
-        setCopiedImagePreviewPrompt(true);
-        if (copiedImagePreviewTimeoutRef.current) {
-          clearTimeout(copiedImagePreviewTimeoutRef.current);
-        }
-        copiedImagePreviewTimeoutRef.current = setTimeout(() => {
-          setCopiedImagePreviewPrompt(false);
-        }, 2000);
-      },
-      setImageError
+    await sendUserRequest(
+      `/api/admin/users/${user.userId}/logout_all`,
+      { method: "POST" },
+      "强制下线失败"
     );
+    fetchSessions();
   };
 
-  const handleDeleteTask = async (taskId) => {
-    if (!taskId || !token) {
+  const handleRevokeSession = async (session) => {
+    if (session.current && !window.confirm("这是当前会话，注销后需要重新登录，确定继续吗？")) {
       return;
     }
-    if (!window.confirm("确定要删除这条记录吗？")) {
-      return;
-    }
-    setError("");
+    setSessionsStatus({ loading: true, error: "" });
     try {
-      const response = await fetch(`/api/tasks/${taskId}`, {
+      const response = await fetch(`/api/admin/sessions/${session.sessionId}`, {
         method: "DELETE",
         headers: { "X-APP-TOKEN": token }
       });
       if (!response.ok) {
         const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || "删除失败");
+        throw new Error(data.error || "注销会话失败");
       }
-      await fetchHistory();
+      if (session.current) {
+        clearSession();
+        return;
+      }
+      await fetchSessions();
     } catch (err) {
-      setError(err.message || "删除失败");
+      setSessionsStatus({ loading: false, error: err.message || "注销会话失败" });
     }
   };
 
-  const handleDeleteImageTask = async (taskId) => {
-    if (!taskId || !token) {
+  const handleCreateApiKey = async (event) => {
+    event.preventDefault();
+    if (!apiKeyForm.name.trim() || apiKeyForm.scopes.length === 0) {
+      setApiKeyStatus({ loading: false, error: "请输入名称并至少选择一个权限。", createdKey: "" });
       return;
     }
-    if (!window.confirm("确定要删除这条图片记录吗？")) {
+    setApiKeyStatus({ loading: true, error: "", createdKey: "" });
+    try {
+      const response = await fetch("/api/admin/api_keys", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-APP-TOKEN": token
+        },
+        body: JSON.stringify({
+          name: apiKeyForm.name.trim(),
+          user_id: apiKeyForm.userId || undefined,
+          scopes: apiKeyForm.scopes,
+          expires_in_days: apiKeyForm.expiresInDays ? Number(apiKeyForm.expiresInDays) : undefined
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "创建 API 密钥失败");
+      }
+      setApiKeyForm((prev) => ({ ...prev, name: "", expiresInDays: "" }));
+      setApiKeyStatus({ loading: false, error: "", createdKey: data.key || "" });
+      await fetchApiKeys();
+    } catch (err) {
+      setApiKeyStatus({
+        loading: false,
+        error: err.message || "创建 API 密钥失败",
+        createdKey: ""
+      });
+    }
+  };
+
+  const handleRevokeApiKey = async (apiKey) => {
+    if (!window.confirm(`确定撤销密钥 ${apiKey.name} 吗？使用它的脚本将立即失效。`)) {
       return;
     }
-    setImageError("");
     try {
-      const response = await fetch(`/api/image/tasks/${taskId}`, {
+      const response = await fetch(`/api/admin/api_keys/${apiKey.keyId}`, {
         method: "DELETE",
         headers: { "X-APP-TOKEN": token }
       });
       if (!response.ok) {
         const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || "删除失败");
+        throw new Error(data.error || "撤销 API 密钥失败");
       }
-      await fetchImageHistory();
+      await fetchApiKeys();
     } catch (err) {
-      setImageError(err.message || "删除失败");
+      setApiKeyStatus((prev) => ({ ...prev, error: err.message || "撤销 API 密钥失败" }));
     }
   };
 
-  const handleDownload = (url) => {
-    if (!url) {
+  const handleDeleteUser = (user) => {
+    if (!window.confirm(`确定删除用户 ${user.username} 吗？`)) {
       return;
     }
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "";
-    link.rel = "noreferrer";
-    document.body.appendChild(link);
-    link.click();
-    link.remove();
+    sendUserRequest(`/api/admin/users/${user.userId}`, { method: "DELETE" }, "删除用户失败");
+  };
+
+  const handleRunRetention = async () => {
+    if (!token) {
+      return;
+    }
+    setRetentionLoading(true);
+    setRetentionError("");
+    try {
+      const response = await fetch("/api/admin/retention/run", {
+        method: "POST",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "清理失败");
+      }
+      await fetchRetention();
+    } catch (err) {
+      setRetentionError(err.message || "清理失败");
+    } finally {
+      setRetentionLoading(false);
+    }
   };
 
   const handleLogout = () => {
+    fetch("/api/logout", { method: "POST", headers: { "X-APP-TOKEN": token } }).catch(() => {});
+    clearSession();
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("确定退出所有设备上的登录吗？")) {
+      return;
+    }
+    try {
+      const response = await fetch("/api/account/logout_all", {
+        method: "POST",
+        headers: { "X-APP-TOKEN": token }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "退出失败");
+      }
+      clearSession();
+    } catch (err) {
+      setAccountStatus({ loading: false, error: err.message || "退出失败", success: "" });
+    }
+  };
+
+  const clearSession = () => {
     localStorage.removeItem("app_token");
     setToken("");
+    setCurrentUser(null);
+    setUsers([]);
+    setUserStatus({ loading: false, error: "" });
+    setSessions([]);
+    setSessionsStatus({ loading: false, error: "" });
+    setApiKeys([]);
+    setApiKeyStatus({ loading: false, error: "", createdKey: "" });
     setHistory([]);
     setImageHistory([]);
     setCurrentTask(null);
     setPreviewVideo(null);
     setActiveTab("generate");
     setBatchResult(null);
+    setImportPreview(null);
+    setTemplateMode(false);
+    setTemplates([]);
+    setSelectedTemplateId("");
+    setTemplateVariables({});
+    setTemplatePreview(null);
+    setBatches([]);
+    setBatchesError("");
+    setSelectedBatch(null);
     setError("");
     setImageError("");
     setUploads([]);
     setUploadsError("");
+    setRetention(null);
+    setRetentionError("");
+    setWebhooks({ items: [], deliveries: [], secret: "" });
+    setWebhookStatus({ loading: false, error: "" });
     setAdminUsername("");
     setAccountForm({ currentPassword: "", username: "", password: "" });
     setAccountStatus({ loading: false, error: "", success: "" });
@@ -1876,6 +3886,220 @@ export default function App() {
     setImageForm((prev) => ({ ...prev, [targetKey]: [] }));
   };
 
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file || !token) {
+      return;
+    }
+    setError("");
+    setBatchResult(null);
+    setImportPreview(null);
+    setImportLoading(true);
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      const response = await fetch("/api/video/batch_import", {
+        method: "POST",
+        headers: { "X-APP-TOKEN": token },
+        body: formData
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "文件解析失败");
+      }
+      setImportPreview({ ...data, fileName: file.name });
+    } catch (err) {
+      setError(err.message || "文件解析失败");
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const handleClearImport = () => {
+    setImportPreview(null);
+  };
+
+  const getSubmitKey = (name) => {
+    if (!submitKeysRef.current[name]) {
+      submitKeysRef.current[name] = createIdempotencyKey();
+    }
+    return submitKeysRef.current[name];
+  };
+
+  const releaseSubmitKey = (name) => {
+    delete submitKeysRef.current[name];
+  };
+
+  const buildTemplateRequest = () => ({
+    id: selectedTemplateId || undefined,
+    prompt: form.prompt.trim(),
+    variables: Object.fromEntries(
+      getTemplatePlaceholders(form.prompt).map((name) => [
+        name,
+        parseTemplateValues(templateVariables[name])
+      ])
+    ),
+    expansion: templateExpansion
+  });
+
+  const handleToggleTemplateMode = (enabled) => {
+    setTemplateMode(enabled);
+    setTemplatePreview(null);
+    if (enabled) {
+      fetchTemplates();
+    }
+  };
+
+  const handleSelectTemplate = (templateId) => {
+    setSelectedTemplateId(templateId);
+    setTemplatePreview(null);
+    const template = templates.find((item) => item.templateId === templateId);
+    if (!template) {
+      return;
+    }
+    setForm((prev) => ({ ...prev, prompt: template.prompt }));
+    setTemplateVariables(
+      Object.fromEntries(
+        Object.entries(template.variables || {}).map(([name, values]) => [name, values.join("\n")])
+      )
+    );
+    setTemplateExpansion(template.expansion || "cartesian");
+  };
+
+  const handleTemplateVariableChange = (name, value) => {
+    setTemplateVariables((prev) => ({ ...prev, [name]: value }));
+    setTemplatePreview(null);
+  };
+
+  const handleTemplatePreview = async () => {
+    setError("");
+    setTemplateLoading(true);
+    try {
+      const response = await fetch("/api/templates/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { "X-APP-TOKEN": token } : {})
+        },
+        body: JSON.stringify(buildTemplateRequest())
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "模板展开失败");
+      }
+      setTemplatePreview({ count: data.count, prompts: data.prompts || [] });
+    } catch (err) {
+      setError(err.message || "模板展开失败");
+    } finally {
+      setTemplateLoading(false);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    const current = templates.find((item) => item.templateId === selectedTemplateId);
+    const name = window.prompt("模板名称", current?.name || "");
+    if (!name || !name.trim()) {
+      return;
+    }
+    const { prompt, variables, expansion } = buildTemplateRequest();
+    setError("");
+    setTemplateLoading(true);
+    try {
+      const response = await fetch(
+        current ? `/api/templates/${current.templateId}` : "/api/templates",
+        {
+          method: current ? "PUT" : "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(token ? { "X-APP-TOKEN": token } : {})
+          },
+          body: JSON.stringify({ name: name.trim(), prompt, variables, expansion })
+        }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "保存模板失败");
+      }
+      setSelectedTemplateId(data.template.templateId);
+      await fetchTemplates();
+    } catch (err) {
+      setError(err.message || "保存模板失败");
+    } finally {
+      setTemplateLoading(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!selectedTemplateId || !window.confirm("确定删除该模板吗？")) {
+      return;
+    }
+    setError("");
+    setTemplateLoading(true);
+    try {
+      const response = await fetch(`/api/templates/${selectedTemplateId}`, {
+        method: "DELETE",
+        headers: token ? { "X-APP-TOKEN": token } : {}
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "删除模板失败");
+      }
+      setSelectedTemplateId("");
+      await fetchTemplates();
+    } catch (err) {
+      setError(err.message || "删除模板失败");
+    } finally {
+      setTemplateLoading(false);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    const jobs = (importPreview?.rows || [])
+      .filter((row) => row.errors.length === 0)
+      .map((row) => row.job);
+    if (jobs.length === 0) {
+      return;
+    }
+    setError("");
+    setBatchResult(null);
+    setLoading(true);
+    try {
+      const response = await fetch("/api/video/batch_create", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": getSubmitKey("import"),
+          ...(token ? { "X-APP-TOKEN": token } : {})
+        },
+        body: JSON.stringify({ jobs })
+      });
+      releaseSubmitKey("import");
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "批量任务创建失败");
+      }
+      const results = data.results || [];
+      const failures = results.filter((result) => !result.ok);
+      setBatchResult({
+        batchId: data.batch_id || null,
+        total: jobs.length,
+        successCount: results.length - failures.length,
+        failureCount: failures.length,
+        failures: failures.map((failure) => ({
+          index: failure.index,
+          error: failure.error || "任务提交失败"
+        }))
+      });
+      setImportPreview(null);
+      await fetchHistory();
+    } catch (err) {
+      setError(err.message || "批量任务创建失败");
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setError("");
@@ -1895,7 +4119,47 @@ export default function App() {
     setLoading(true);
 
     try {
-      if (batchMode) {
+      if (batchMode && templateMode) {
+        const response = await fetch("/api/video/batch_create", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": getSubmitKey("video"),
+            ...(token ? { "X-APP-TOKEN": token } : {})
+          },
+          body: JSON.stringify({
+            priority: "high",
+            template: buildTemplateRequest(),
+            job: {
+              mode: form.mode,
+              model: form.model,
+              image_url: form.mode === "i2v" ? form.image_url : undefined,
+              duration: Number(form.duration),
+              aspect_ratio: form.aspect_ratio,
+              size: isProVideoModel ? form.size : undefined
+            }
+          })
+        });
+        releaseSubmitKey("video");
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || "批量任务创建失败");
+        }
+        const results = data.results || [];
+        const failures = results.filter((result) => !result.ok);
+        setBatchResult({
+          batchId: data.batch_id || null,
+          total: results.length,
+          successCount: results.length - failures.length,
+          failureCount: failures.length,
+          failures: failures.map((failure) => ({
+            index: failure.index,
+            error: failure.error || "任务提交失败"
+          }))
+        });
+        setTemplatePreview(null);
+        await fetchHistory();
+      } else if (batchMode) {
         const jobs = Array.from({ length: batchCount }, () => ({
           mode: form.mode,
           model: form.model,
@@ -1910,13 +4174,16 @@ export default function App() {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            "Idempotency-Key": getSubmitKey("video"),
             ...(token ? { "X-APP-TOKEN": token } : {})
           },
           body: JSON.stringify({
             batchCount,
+            priority: "high",
             jobs
           })
         });
+        releaseSubmitKey("video");
 
         if (!response.ok) {
           const data = await response.json().catch(() => ({}));
@@ -1937,7 +4204,7 @@ export default function App() {
             createdAt: new Date().toISOString(),
             mode: job.mode || form.mode,
             prompt: job.prompt,
-            status: "queued",
+            status: "pending",
             progress: 0,
             video_url: null,
             origin_video_url: null,
@@ -1946,11 +4213,12 @@ export default function App() {
         });
 
         if (newTasks.length > 0) {
-          setHistory((prev) => [...newTasks, ...prev]);
+          setHistory((prev) => prependTasks(prev, newTasks));
           setCurrentTask(newTasks[0]);
         }
 
         setBatchResult({
+          batchId: data.batch_id || null,
           total: jobs.length,
           successCount: successes.length,
           failureCount: failures.length,
@@ -1964,6 +4232,7 @@ export default function App() {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            "Idempotency-Key": getSubmitKey("video"),
             ...(token ? { "X-APP-TOKEN": token } : {})
           },
           body: JSON.stringify({
@@ -1973,9 +4242,11 @@ export default function App() {
             image_url: form.mode === "i2v" ? form.image_url : undefined,
             duration: Number(form.duration),
             aspect_ratio: form.aspect_ratio,
-            size: isProVideoModel ? form.size : undefined
+            size: isProVideoModel ? form.size : undefined,
+            priority: "high"
           })
         });
+        releaseSubmitKey("video");
 
         if (!response.ok) {
           const data = await response.json().catch(() => ({}));
@@ -1989,13 +4260,13 @@ export default function App() {
           createdAt: new Date().toISOString(),
           mode: form.mode,
           prompt: form.prompt,
-          status: "queued",
+          status: "pending",
           progress: 0,
           video_url: null,
           origin_video_url: null,
           error: null
         };
-        setHistory((prev) => [newTask, ...prev]);
+        setHistory((prev) => prependTasks(prev, [newTask]));
         setCurrentTask(newTask);
       }
     } catch (err) {
@@ -2025,7 +4296,8 @@ export default function App() {
     try {
       const payload = {
         model: imageForm.model,
-        prompt: imageForm.prompt.trim()
+        prompt: imageForm.prompt.trim(),
+        priority: "high"
       };
 
       if (imageForm.model === "nano-banana-pro") {
@@ -2045,10 +4317,12 @@ export default function App() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "Idempotency-Key": getSubmitKey("image"),
           ...(token ? { "X-APP-TOKEN": token } : {})
         },
         body: JSON.stringify(payload)
       });
+      releaseSubmitKey("image");
 
       if (!response.ok) {
         const data = await response.json().catch(() => ({}));
@@ -2061,13 +4335,13 @@ export default function App() {
         localTaskId,
         createdAt: new Date().toISOString(),
         prompt: imageForm.prompt.trim(),
-        status: "queued",
+        status: "pending",
         progress: 0,
         image_url: null,
         error: null
       };
 
-      setImageHistory((prev) => [newTask, ...prev]);
+      setImageHistory((prev) => prependTasks(prev, [newTask]));
       setImageNotice("已执行，请到图片创作记录中查看详情。");
     } catch (err) {
       setImageError(err.message);
@@ -2092,7 +4366,7 @@ export default function App() {
     }
     setAccountStatus({ loading: true, error: "", success: "" });
     try {
-      const response = await fetch("/api/admin/account", {
+      const response = await fetch("/api/account", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -2109,7 +4383,11 @@ export default function App() {
         throw new Error(data.error || "更新账号失败");
       }
       const data = await response.json();
-      setAdminUsername(data.username || "");
+      setCurrentUser((prev) => ({
+        ...prev,
+        username: data.username || prev?.username,
+        mustChangePassword: Boolean(data.mustChangePassword)
+      }));
       setAccountForm({ currentPassword: "", username: "", password: "" });
       setAccountStatus({ loading: false, error: "", success: "账号已更新。" });
     } catch (err) {
@@ -2122,6 +4400,8 @@ export default function App() {
   };
 
   const previewTask = useMemo(() => history[0] || null, [history]);
+  const isAdmin = currentUser?.role === "admin";
+  const canCreate = currentUser?.role !== "viewer";
 
   const latestImage = useMemo(
     () => imageHistory.find((task) => task.image_url),
@@ -2133,13 +4413,27 @@ export default function App() {
   if (!token) {
     return (
       <Login
-        onLogin={(newToken) => {
+        onLogin={(newToken, user) => {
           setToken(newToken);
+          setCurrentUser(user);
         }}
       />
     );
   }
 
+  if (currentUser?.mustChangePassword) {
+    return (
+      <PasswordChangeView
+        currentUser={currentUser}
+        accountForm={accountForm}
+        setAccountForm={setAccountForm}
+        accountStatus={accountStatus}
+        handleAccountSubmit={handleAccountSubmit}
+        handleLogout={handleLogout}
+      />
+    );
+  }
+
   return (
     <div className="app-layout">
       <aside className="sidebar">
@@ -2148,20 +4442,24 @@ export default function App() {
           <p className="logo-subtitle">AI 创作中心</p>
         </div>
         <nav className="nav">
-          <button
-            type="button"
-            className={`nav-item ${activeTab === "generate" ? "is-active" : ""}`}
-            onClick={() => setActiveTab("generate")}
-          >
-            视频创作
-          </button>
-          <button
-            type="button"
-            className={`nav-item ${activeTab === "image" ? "is-active" : ""}`}
-            onClick={() => setActiveTab("image")}
-          >
-            图片创作
-          </button>
+          {canCreate && (
+            <>
+              <button
+                type="button"
+                className={`nav-item ${activeTab === "generate" ? "is-active" : ""}`}
+                onClick={() => setActiveTab("generate")}
+              >
+                视频创作
+              </button>
+              <button
+                type="button"
+                className={`nav-item ${activeTab === "image" ? "is-active" : ""}`}
+                onClick={() => setActiveTab("image")}
+              >
+                图片创作
+              </button>
+            </>
+          )}
           <button
             type="button"
             className={`nav-item ${activeTab === "history" ? "is-active" : ""}`}
@@ -2176,15 +4474,33 @@ export default function App() {
           >
             图片创作记录
           </button>
+          <button
+            type="button"
+            className={`nav-item ${activeTab === "batches" ? "is-active" : ""}`}
+            onClick={() => {
+              setActiveTab("batches");
+              setSelectedBatch(null);
+              fetchBatches();
+            }}
+          >
+            批量任务
+          </button>
           <button
             type="button"
             className={`nav-item ${activeTab === "admin" ? "is-active" : ""}`}
             onClick={() => {
               setActiveTab("admin");
-              fetchUploads();
+              if (isAdmin) {
+                fetchUsers();
+                fetchSessions();
+                fetchApiKeys();
+                fetchUploads();
+                fetchRetention();
+                fetchWebhooks();
+              }
             }}
           >
-            管理后台
+            {isAdmin ? "管理后台" : "账号设置"}
           </button>
         </nav>
       </aside>
@@ -2219,6 +4535,26 @@ export default function App() {
               setBatchCount={setBatchCount}
               error={error}
               batchResult={batchResult}
+              handleOpenBatch={handleOpenBatch}
+              importPreview={importPreview}
+              importLoading={importLoading}
+              handleImportFile={handleImportFile}
+              handleConfirmImport={handleConfirmImport}
+              handleClearImport={handleClearImport}
+              templateMode={templateMode}
+              handleToggleTemplateMode={handleToggleTemplateMode}
+              templates={templates}
+              selectedTemplateId={selectedTemplateId}
+              handleSelectTemplate={handleSelectTemplate}
+              templateVariables={templateVariables}
+              handleTemplateVariableChange={handleTemplateVariableChange}
+              templateExpansion={templateExpansion}
+              setTemplateExpansion={setTemplateExpansion}
+              templatePreview={templatePreview}
+              templateLoading={templateLoading}
+              handleTemplatePreview={handleTemplatePreview}
+              handleSaveTemplate={handleSaveTemplate}
+              handleDeleteTemplate={handleDeleteTemplate}
               loading={loading}
               history={history}
               handleDownload={handleDownload}
@@ -2227,6 +4563,7 @@ export default function App() {
               historyLoading={historyLoading}
               token={token}
               fetchHistory={fetchHistory}
+              handleCancelTask={handleCancelTask}
               previewTask={previewTask}
               simulatedProgress={simulatedProgress}
               imagePreviewUrl={imagePreviewUrl}
@@ -2255,10 +4592,13 @@ export default function App() {
               historyLoading={imageHistoryLoading}
               token={token}
               fetchHistory={fetchImageHistory}
+              handleCancelTask={handleCancelImageTask}
               uploadRef={imageAssetUploadRef}
             />
           ) : activeTab === "history" ? (
             <HistoryView
+              currentUser={currentUser}
+              isAdmin={isAdmin}
               history={history}
               historyLoading={historyLoading}
               token={token}
@@ -2268,9 +4608,15 @@ export default function App() {
               handleCopyPrompt={handleCopyPrompt}
               copiedPromptId={copiedPromptId}
               handleDeleteTask={handleDeleteTask}
+              handleRetryDownload={handleRetryDownload}
+              handleToggleKeep={handleToggleKeep}
+              handleCancelTask={handleCancelTask}
+              handleRegenerate={handleRegenerateTask}
             />
           ) : activeTab === "image-history" ? (
             <ImageHistoryView
+              currentUser={currentUser}
+              isAdmin={isAdmin}
               history={imageHistory}
               historyLoading={imageHistoryLoading}
               token={token}
@@ -2279,10 +4625,28 @@ export default function App() {
               handleCopyPrompt={handleCopyImagePrompt}
               copiedPromptId={copiedImagePromptId}
               handleDeleteTask={handleDeleteImageTask}
+              handleRetryDownload={handleRetryImageDownload}
+              handleToggleKeep={handleToggleImageKeep}
+              handleCancelTask={handleCancelImageTask}
+              handleRegenerate={handleRegenerateImageTask}
+            />
+          ) : activeTab === "batches" ? (
+            <BatchesView
+              batches={batches}
+              batchesLoading={batchesLoading}
+              batchesError={batchesError}
+              fetchBatches={fetchBatches}
+              selectedBatch={selectedBatch}
+              batchDetailLoading={batchDetailLoading}
+              handleOpenBatch={fetchBatchDetail}
+              handleCloseBatch={handleCloseBatch}
+              setPreviewVideo={setPreviewVideo}
+              token={token}
             />
           ) : (
             <AdminView
-              adminUsername={adminUsername}
+              currentUser={currentUser}
+              isAdmin={isAdmin}
               accountForm={accountForm}
               setAccountForm={setAccountForm}
               accountStatus={accountStatus}
@@ -2292,6 +4656,40 @@ export default function App() {
               uploadsError={uploadsError}
               fetchUploads={fetchUploads}
               handleDownload={handleDownload}
+              retention={retention}
+              retentionLoading={retentionLoading}
+              retentionError={retentionError}
+              handleRunRetention={handleRunRetention}
+              webhooks={webhooks}
+              webhookForm={webhookForm}
+              setWebhookForm={setWebhookForm}
+              webhookStatus={webhookStatus}
+              fetchWebhooks={fetchWebhooks}
+              handleCreateWebhook={handleCreateWebhook}
+              handleToggleWebhook={handleToggleWebhook}
+              handleDeleteWebhook={handleDeleteWebhook}
+              handleReplayDelivery={handleReplayDelivery}
+              users={users}
+              userForm={userForm}
+              setUserForm={setUserForm}
+              userStatus={userStatus}
+              fetchUsers={fetchUsers}
+              handleCreateUser={handleCreateUser}
+              handleUpdateUser={handleUpdateUser}
+              handleDeleteUser={handleDeleteUser}
+              handleLogoutUser={handleLogoutUser}
+              handleLogoutAll={handleLogoutAll}
+              sessions={sessions}
+              sessionsStatus={sessionsStatus}
+              fetchSessions={fetchSessions}
+              handleRevokeSession={handleRevokeSession}
+              apiKeys={apiKeys}
+              apiKeyForm={apiKeyForm}
+              setApiKeyForm={setApiKeyForm}
+              apiKeyStatus={apiKeyStatus}
+              fetchApiKeys={fetchApiKeys}
+              handleCreateApiKey={handleCreateApiKey}
+              handleRevokeApiKey={handleRevokeApiKey}
             />
           )}
         </main>
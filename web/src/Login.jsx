@@ -13,7 +13,7 @@ export default function Login({ onLogin }) {
   const handleSubmit = async (event) => {
     event.preventDefault();
     if (!form.username || !form.password) {
-      setError("请输入管理员账号和密码。");
+      setError("请输入账号和密码。");
       return;
     }
     setLoading(true);
@@ -28,6 +28,11 @@ export default function Login({ onLogin }) {
           password: form.password
         })
       });
+      if (response.status === 429) {
+        const data = await response.json().catch(() => ({}));
+        const seconds = data.retryAfterSeconds || response.headers.get("Retry-After");
+        throw new Error(`登录失败次数过多，请 ${seconds || 60} 秒后重试。`);
+      }
       if (!response.ok) {
         throw new Error("账号或密码错误。");
       }
@@ -36,7 +41,7 @@ export default function Login({ onLogin }) {
         throw new Error("登录失败，缺少访问令牌。");
       }
       localStorage.setItem("app_token", data.token);
-      onLogin?.(data.token);
+      onLogin?.(data.token, data.user || null);
     } catch (err) {
       setError(err.message || "登录失败，请重试。");
     } finally {
@@ -49,12 +54,12 @@ export default function Login({ onLogin }) {
       <div className="login-card">
         <div className="login-header">
           <p className="eyebrow">YKF-AI</p>
-          <h1>管理员登录</h1>
-          <p className="muted">请输入管理员账号密码以进入平台。</p>
+          <h1>账号登录</h1>
+          <p className="muted">请输入账号密码以进入平台。</p>
         </div>
         <form className="login-form" onSubmit={handleSubmit}>
           <div className="field">
-            <label htmlFor="username">管理员账号</label>
+            <label htmlFor="username">账号</label>
             <input
               id="username"
               name="username"
@@ -65,7 +70,7 @@ export default function Login({ onLogin }) {
             />
           </div>
           <div className="field">
-            <label htmlFor="password">管理员密码</label>
+            <label htmlFor="password">密码</label>
             <input
               id="password"
               name="password"
@@ -81,7 +86,7 @@ export default function Login({ onLogin }) {
             {loading ? "登录中..." : "登录"}
           </button>
         </form>
-        <p className="login-help muted">首次部署默认账号：admin / 123456</p>
+        <p className="login-help muted">首次部署默认账号：admin / 123456，首次登录需修改密码</p>
       </div>
     </div>
   );